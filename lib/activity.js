@@ -0,0 +1,174 @@
+/**
+ * Admin activity log
+ * Every change made from the admin is recorded in data/activity.json with who
+ * made it, when, from which IP, and a before/after summary of what changed.
+ * Entries older than RETENTION_DAYS (or beyond MAX_ENTRIES) are pruned on write.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+
+const RETENTION_DAYS = 180;
+const MAX_ENTRIES = 5000;
+// Long values (bios, descriptions) are cut in the summary
+const MAX_VALUE_LENGTH = 200;
+// Fields listed per entry, the rest is only counted
+const MAX_FIELDS = 50;
+
+// Action keys, grouped for the filter of the activity page
+const ACTIONS = {
+  'auth.login': 'Logged in',
+  'auth.login-failed': 'Failed login',
+  'auth.logout': 'Logged out',
+  'auth.password-set': 'Password set',
+  'bio.update': 'Bio updated',
+  'photo.update': 'Profile photo replaced',
+  'gallery.upload': 'Gallery image added',
+  'gallery.update': 'Gallery alt text edited',
+  'gallery.reorder': 'Gallery image moved',
+  'gallery.delete': 'Gallery image deleted',
+  'section.create': 'Section added',
+  'section.update': 'Section edited',
+  'section.reorder': 'Section moved',
+  'section.visibility': 'Section shown/hidden',
+  'section.delete': 'Section deleted',
+  'track.upload': 'Track uploaded',
+  'track.update': 'Track edited',
+  'track.delete': 'Track deleted',
+  'track.reorder': 'Track moved',
+  'track.visibility': 'Track visibility changed',
+  'track.before-upload': 'Before version uploaded',
+  'track.before-delete': 'Before version removed',
+  'share.create': 'Share link created',
+  'share.revoke': 'Share link revoked',
+  'inquiry.update': 'Inquiry updated',
+  'inquiry.release': 'Inquiry released from quarantine',
+  'inquiry.delete': 'Quarantined inquiry deleted',
+  'inquiry.clear': 'Quarantine emptied',
+  'service.create': 'Service added',
+  'service.update': 'Service edited',
+  'service.reorder': 'Service moved',
+  'service.delete': 'Service deleted',
+  'service.currency': 'Service currency changed',
+  'service.quote': 'Quote rates edited',
+  'review.project-create': 'Review project created',
+  'review.project-delete': 'Review project deleted',
+  'review.token-regenerate': 'Review link replaced',
+  'review.song-add': 'Review song added',
+  'review.song-delete': 'Review song deleted',
+  'review.version-upload': 'Review version uploaded',
+  'review.version-delete': 'Review version deleted',
+  'review.comment-reply': 'Review comment answered',
+  'review.comment-resolve': 'Review comment resolved/reopened',
+  'translations.update': 'Translations edited',
+  'language.add': 'Language added',
+  'language.default': 'Default language changed',
+  'language.remove': 'Language removed',
+  'seo.update': 'SEO texts edited',
+  'user.invite': 'User invited',
+  'user.reset': 'Password link created',
+  'user.role': 'User role changed',
+  'user.disable': 'User disabled',
+  'user.enable': 'User enabled',
+  'apitoken.create': 'API token created',
+  'apitoken.revoke': 'API token revoked',
+  'backup.export': 'Backup downloaded',
+  'backup.restore': 'Backup restored',
+  'history.restore': 'Revision restored'
+};
+
+function summarize(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+// { field: value } with long values cut and at most MAX_FIELDS fields
+function summarizeFields(fields) {
+  if (!fields) return null;
+  const entries = Object.entries(fields);
+  const result = {};
+  entries.slice(0, MAX_FIELDS).forEach(([key, value]) => {
+    result[key] = summarize(value);
+  });
+  if (entries.length > MAX_FIELDS) result['…'] = `${entries.length - MAX_FIELDS} more`;
+  return result;
+}
+
+// "", null, [] and {} all mean "not set"
+function isBlank(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * Fields that differ between two objects: { before: {...}, after: {...} },
+ * limited to `fields` when given. Both are null when nothing changed.
+ */
+function changes(before, after, fields) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const result = { before: {}, after: {} };
+  keys.forEach(key => {
+    const old = before?.[key];
+    const value = after?.[key];
+    if (JSON.stringify(old) === JSON.stringify(value) || (isBlank(old) && isBlank(value))) return;
+    result.before[key] = old ?? '';
+    result.after[key] = value ?? '';
+  });
+  return Object.keys(result.after).length > 0 ? result : { before: null, after: null };
+}
+
+function isRecent(entry, now = Date.now()) {
+  return now - new Date(entry.at).getTime() < RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Record an admin action. `details`: { target, before, after, user }
+ * (user defaults to the logged in user, for login attempts it is the name typed in).
+ */
+function logActivity(req, action, details = {}) {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    at: new Date().toISOString(),
+    user: details.user || req.user?.username || '',
+    ip: req.ip || '',
+    action,
+    target: details.target || '',
+    before: summarizeFields(details.before),
+    after: summarizeFields(details.after)
+  };
+  return store.update('activity', data => {
+    data.entries = data.entries.filter(e => isRecent(e));
+    data.entries.push(entry);
+    data.entries = data.entries.slice(-MAX_ENTRIES);
+    return entry;
+  });
+}
+
+/**
+ * Entries newest first, filtered by user, action (or action group: "track"),
+ * text found in the target or changes, and a date range (YYYY-MM-DD, inclusive)
+ */
+function findActivity({ user, action, q, from, to } = {}) {
+  const search = (q || '').trim().toLowerCase();
+  const start = from ? new Date(`${from}T00:00:00`).getTime() : null;
+  const end = to ? new Date(`${to}T23:59:59.999`).getTime() : null;
+
+  return store.read('activity').entries
+    .filter(e => isRecent(e))
+    .filter(e => !user || e.user === user)
+    .filter(e => !action || e.action === action || e.action.startsWith(`${action}.`))
+    .filter(e => !search || [e.target, e.ip, JSON.stringify(e.before), JSON.stringify(e.after)]
+      .some(text => (text || '').toLowerCase().includes(search)))
+    .filter(e => start === null || isNaN(start) || new Date(e.at).getTime() >= start)
+    .filter(e => end === null || isNaN(end) || new Date(e.at).getTime() <= end)
+    .reverse();
+}
+
+// Users that appear in the log, for the filter
+function activityUsers() {
+  return [...new Set(store.read('activity').entries.map(e => e.user).filter(Boolean))].sort();
+}
+
+module.exports = { RETENTION_DAYS, ACTIONS, changes, logActivity, findActivity, activityUsers };
@@ -0,0 +1,98 @@
+/**
+ * API tokens for the admin REST API (/api/admin)
+ * Created by owners from the admin, each with a name and a role (owner or editor).
+ * The token is shown once: only its SHA-256 hash is kept in data/api-tokens.json.
+ * A token stops working when it is revoked or when the user who created it is disabled.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const users = require('./users');
+
+const TOKEN_PREFIX = 'hj_';
+const MAX_NAME_LENGTH = 60;
+// Last use is saved at most once a minute, not on every request
+const TOUCH_INTERVAL = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Tokens newest first, without their hash
+function listTokens() {
+  return store.read('apiTokens').tokens
+    .map(({ tokenHash, ...token }) => token)
+    .reverse();
+}
+
+/**
+ * New token. Resolves to { token, secret } (the secret is never shown again),
+ * or throws an Error with a message for the admin.
+ */
+async function createToken(name, role, createdBy) {
+  const label = typeof name === 'string' ? name.trim() : '';
+  if (!label || label.length > MAX_NAME_LENGTH) {
+    throw new Error(`Token names are 1 to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!users.ROLES.includes(role)) throw new Error('Unknown role');
+
+  const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const token = {
+    id: crypto.randomUUID(),
+    name: label,
+    role,
+    // Enough to recognize the token in the list
+    prefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(secret),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  await store.update('apiTokens', data => {
+    data.tokens.push(token);
+  });
+  const { tokenHash, ...listed } = token;
+  return { token: listed, secret };
+}
+
+// Resolves to the revoked token, or null if it did not exist
+function revokeToken(id) {
+  return store.update('apiTokens', data => {
+    const index = data.tokens.findIndex(t => t.id === id);
+    if (index === -1) return null;
+    const { tokenHash, ...token } = data.tokens.splice(index, 1)[0];
+    return token;
+  });
+}
+
+/**
+ * Token matching an Authorization bearer value, or null if it is unknown,
+ * revoked, or its creator can no longer log in
+ */
+async function authenticateToken(secret) {
+  if (typeof secret !== 'string' || !secret.startsWith(TOKEN_PREFIX)) return null;
+  const expected = Buffer.from(hashToken(secret));
+  const token = store.read('apiTokens').tokens.find(t => {
+    const actual = Buffer.from(t.tokenHash);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  });
+  if (!token) return null;
+
+  const creator = users.findUser(token.createdBy);
+  if (!creator || creator.disabled) return null;
+
+  if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() >= TOUCH_INTERVAL) {
+    await store.update('apiTokens', data => {
+      const stored = data.tokens.find(t => t.id === token.id);
+      if (!stored) return null;
+      stored.lastUsedAt = new Date().toISOString();
+      return stored;
+    });
+  }
+  const { tokenHash, ...result } = token;
+  // A token never has more rights than its creator has now
+  if (creator.role !== 'owner') result.role = creator.role;
+  return result;
+}
+
+module.exports = { listTokens, createToken, revokeToken, authenticateToken };
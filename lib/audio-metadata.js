@@ -0,0 +1,487 @@
+/**
+ * Audio metadata extraction
+ * Reads embedded tags and technical info from uploaded audio files:
+ *   MP3  - ID3v2.2/2.3/2.4 and ID3v1 tags, MPEG frame header (Xing/VBRI aware)
+ *   FLAC - STREAMINFO and Vorbis comments
+ *   OGG  - Vorbis and Opus headers and comments
+ *   WAV  - fmt chunk, RIFF LIST/INFO and embedded ID3 chunks
+ *   M4A  - mvhd/stsd atoms and iTunes ilst tags
+ */
+
+const fs = require('fs');
+
+// ID3v1 genre list (also used by MP4 'gnre' atoms and ID3v2 "(17)" references)
+const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop', 'Jazz', 'Metal',
+  'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial',
+  'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk',
+  'Fusion', 'Trance', 'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock', 'Ethnic', 'Gothic',
+  'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+  'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave', 'Psychedelic', 'Rave', 'Showtunes',
+  'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock'
+];
+
+// Tag names per format, mapped to our fields
+const ID3_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TALB: 'album', TAL: 'album',
+  TYER: 'year', TYE: 'year', TDRC: 'year',
+  TCON: 'genre', TCO: 'genre'
+};
+const VORBIS_FIELDS = { TITLE: 'title', ARTIST: 'artist', ALBUM: 'album', DATE: 'year', YEAR: 'year', GENRE: 'genre' };
+const RIFF_INFO_FIELDS = { INAM: 'title', IART: 'artist', IPRD: 'album', ICRD: 'year', IGNR: 'genre' };
+const MP4_TAGS = { '©nam': 'title', '©ART': 'artist', '©alb': 'album', '©day': 'year', '©gen': 'genre' };
+
+// Bitrates (kbps) by [MPEG-1 ? 'v1' : 'v2'][layer][index]
+const MPEG_BITRATES = {
+  v1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  v2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+const MPEG_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+function decodeText(buffer, encoding) {
+  switch (encoding) {
+    case 1: { // UTF-16 with BOM
+      if (buffer[0] === 0xFE && buffer[1] === 0xFF) return swapUtf16(buffer.subarray(2)).toString('utf16le');
+      if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.subarray(2).toString('utf16le');
+      return buffer.toString('utf16le');
+    }
+    case 2: // UTF-16BE
+      return swapUtf16(buffer).toString('utf16le');
+    case 3:
+      return buffer.toString('utf8');
+    default:
+      return buffer.toString('latin1');
+  }
+}
+
+function swapUtf16(buffer) {
+  const copy = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+  return copy.swap16();
+}
+
+function cleanText(text) {
+  return text.replace(/\0+$/g, '').split('\0')[0].trim();
+}
+
+// Keep the first non-empty value per field
+function setTag(tags, field, value) {
+  if (field && value && !tags[field]) {
+    tags[field] = value;
+  }
+}
+
+// ID3 genres may be "(17)", "17" or "(17)Rock"
+function normalizeGenre(genre) {
+  const match = genre.match(/^\(?(\d+)\)?(.*)$/);
+  if (!match) return genre;
+  return match[2].trim() || ID3_GENRES[parseInt(match[1], 10)] || '';
+}
+
+function synchsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+/**
+ * Parse an ID3v2 tag at offset. Returns the tag's total size (0 if none).
+ */
+function parseId3v2(buffer, offset, tags) {
+  if (buffer.length < offset + 10 || buffer.toString('latin1', offset, offset + 3) !== 'ID3') return 0;
+
+  const version = buffer[offset + 3];
+  const flags = buffer[offset + 5];
+  const size = synchsafe(buffer, offset + 6);
+  const end = Math.min(buffer.length, offset + 10 + size);
+  let pos = offset + 10;
+
+  // Skip the extended header
+  if (flags & 0x40) {
+    pos += version === 4 ? synchsafe(buffer, pos) : buffer.readUInt32BE(pos) + 4;
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+
+  while (pos + headerLength <= end) {
+    const id = buffer.toString('latin1', pos, pos + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    let frameSize;
+    if (version === 2) frameSize = buffer.readUIntBE(pos + 3, 3);
+    else if (version === 4) frameSize = synchsafe(buffer, pos + 4);
+    else frameSize = buffer.readUInt32BE(pos + 4);
+
+    const body = buffer.subarray(pos + headerLength, Math.min(end, pos + headerLength + frameSize));
+    const field = ID3_FRAMES[id];
+    if (field && body.length > 1) {
+      let value = cleanText(decodeText(body.subarray(1), body[0]));
+      if (field === 'genre') value = normalizeGenre(value);
+      if (field === 'year') value = value.slice(0, 4);
+      setTag(tags, field, value);
+    }
+    pos += headerLength + frameSize;
+  }
+
+  // Footer present in v2.4
+  return 10 + size + (version === 4 && (flags & 0x10) ? 10 : 0);
+}
+
+function parseId3v1(buffer, tags) {
+  if (buffer.length < 128) return false;
+  const offset = buffer.length - 128;
+  if (buffer.toString('latin1', offset, offset + 3) !== 'TAG') return false;
+
+  setTag(tags, 'title', cleanText(buffer.toString('latin1', offset + 3, offset + 33)));
+  setTag(tags, 'artist', cleanText(buffer.toString('latin1', offset + 33, offset + 63)));
+  setTag(tags, 'album', cleanText(buffer.toString('latin1', offset + 63, offset + 93)));
+  setTag(tags, 'year', cleanText(buffer.toString('latin1', offset + 93, offset + 97)));
+  setTag(tags, 'genre', ID3_GENRES[buffer[offset + 127]]);
+  return true;
+}
+
+function parseMpegFrameHeader(buffer, pos) {
+  if (pos + 4 > buffer.length || buffer[pos] !== 0xFF || (buffer[pos + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (buffer[pos + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layerBits = (buffer[pos + 1] >> 1) & 0x03; // 3 = Layer I, 2 = II, 1 = III
+  const bitrateIndex = buffer[pos + 2] >> 4;
+  const sampleRateIndex = (buffer[pos + 2] >> 2) & 0x03;
+  const padding = (buffer[pos + 2] >> 1) & 0x01;
+  const channelMode = buffer[pos + 3] >> 6;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_BITRATES[versionBits === 3 ? 'v1' : 'v2'][layer][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[versionBits][sampleRateIndex];
+  let samplesPerFrame = 1152;
+  if (layer === 1) samplesPerFrame = 384;
+  else if (layer === 3 && versionBits !== 3) samplesPerFrame = 576;
+
+  const frameLength = layer === 1
+    ? Math.floor((12 * bitrate / sampleRate + padding) * 4)
+    : Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+
+  return { versionBits, layer, bitrate, sampleRate, samplesPerFrame, frameLength, channels: channelMode === 3 ? 1 : 2 };
+}
+
+function parseMp3(buffer) {
+  const tags = {};
+  let start = parseId3v2(buffer, 0, tags);
+  const hasId3v1 = parseId3v1(buffer, tags);
+  const audioEnd = buffer.length - (hasId3v1 ? 128 : 0);
+
+  // Find the first valid frame (confirmed by the next frame header when possible)
+  let frame = null;
+  for (let pos = start; pos < Math.min(audioEnd - 4, start + 65536); pos++) {
+    const candidate = parseMpegFrameHeader(buffer, pos);
+    if (candidate && (pos + candidate.frameLength + 4 > audioEnd || parseMpegFrameHeader(buffer, pos + candidate.frameLength))) {
+      frame = candidate;
+      start = pos;
+      break;
+    }
+  }
+  if (!frame) return { format: 'mp3', tags };
+
+  const audioBytes = audioEnd - start;
+  let frameCount = null;
+
+  // Xing/Info header sits after the side information of the first frame
+  const sideInfo = frame.versionBits === 3 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+  const xingPos = start + 4 + sideInfo;
+  const xingId = buffer.toString('latin1', xingPos, xingPos + 4);
+  if ((xingId === 'Xing' || xingId === 'Info') && (buffer.readUInt32BE(xingPos + 4) & 0x01)) {
+    frameCount = buffer.readUInt32BE(xingPos + 8);
+  } else if (buffer.toString('latin1', start + 36, start + 40) === 'VBRI') {
+    frameCount = buffer.readUInt32BE(start + 36 + 14);
+  }
+
+  const duration = frameCount
+    ? frameCount * frame.samplesPerFrame / frame.sampleRate
+    : audioBytes * 8 / frame.bitrate;
+
+  return {
+    format: 'mp3',
+    tags,
+    duration,
+    sampleRate: frame.sampleRate,
+    channels: frame.channels,
+    bitrate: frameCount ? Math.round(audioBytes * 8 / duration) : frame.bitrate
+  };
+}
+
+// Vorbis comment block (FLAC, Ogg Vorbis, Opus): little-endian lengths
+function parseVorbisComment(buffer, offset, tags) {
+  let pos = offset;
+  const vendorLength = buffer.readUInt32LE(pos);
+  pos += 4 + vendorLength;
+  const count = buffer.readUInt32LE(pos);
+  pos += 4;
+
+  for (let i = 0; i < count && pos + 4 <= buffer.length; i++) {
+    const length = buffer.readUInt32LE(pos);
+    const comment = buffer.toString('utf8', pos + 4, pos + 4 + length);
+    pos += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator > 0) {
+      const field = VORBIS_FIELDS[comment.slice(0, separator).toUpperCase()];
+      let value = comment.slice(separator + 1).trim();
+      if (field === 'year') value = value.slice(0, 4);
+      setTag(tags, field, value);
+    }
+  }
+}
+
+function parseFlac(buffer) {
+  const tags = {};
+  const result = { format: 'flac', tags };
+  let pos = 4;
+
+  while (pos + 4 <= buffer.length) {
+    const isLast = buffer[pos] & 0x80;
+    const type = buffer[pos] & 0x7F;
+    const length = buffer.readUIntBE(pos + 1, 3);
+    const body = pos + 4;
+
+    if (type === 0 && length >= 18) {
+      // STREAMINFO: 20-bit sample rate, 3-bit channels, 5-bit depth, 36-bit total samples
+      const sampleRate = (buffer[body + 10] << 12) | (buffer[body + 11] << 4) | (buffer[body + 12] >> 4);
+      const channels = ((buffer[body + 12] >> 1) & 0x07) + 1;
+      const bitDepth = (((buffer[body + 12] & 0x01) << 4) | (buffer[body + 13] >> 4)) + 1;
+      const totalSamples = (buffer[body + 13] & 0x0F) * 2 ** 32 + buffer.readUInt32BE(body + 14);
+      Object.assign(result, { sampleRate, channels, bitDepth });
+      if (sampleRate && totalSamples) {
+        result.duration = totalSamples / sampleRate;
+        result.bitrate = Math.round(buffer.length * 8 / result.duration);
+      }
+    } else if (type === 4) {
+      parseVorbisComment(buffer, body, tags);
+    }
+
+    if (isLast) break;
+    pos = body + length;
+  }
+
+  return result;
+}
+
+// Reassemble the first packets of an Ogg stream from its pages' segments
+function readOggPackets(buffer, max) {
+  const packets = [];
+  let current = [];
+  let pos = 0;
+
+  while (packets.length < max && pos + 27 <= buffer.length && buffer.toString('latin1', pos, pos + 4) === 'OggS') {
+    const segmentCount = buffer[pos + 26];
+    let dataPos = pos + 27 + segmentCount;
+
+    for (let i = 0; i < segmentCount && packets.length < max; i++) {
+      const segmentLength = buffer[pos + 27 + i];
+      current.push(buffer.subarray(dataPos, dataPos + segmentLength));
+      dataPos += segmentLength;
+      if (segmentLength < 255) {
+        packets.push(Buffer.concat(current));
+        current = [];
+      }
+    }
+    pos = dataPos;
+  }
+
+  return packets;
+}
+
+function lastOggGranule(buffer) {
+  const index = buffer.lastIndexOf('OggS');
+  if (index === -1 || index + 14 > buffer.length) return 0;
+  return Number(buffer.readBigUInt64LE(index + 6));
+}
+
+function parseOgg(buffer) {
+  const tags = {};
+  const [identification, comment] = readOggPackets(buffer, 2);
+  if (!identification) return { format: 'ogg', tags };
+
+  let result;
+  if (identification.toString('latin1', 1, 7) === 'vorbis') {
+    const sampleRate = identification.readUInt32LE(12);
+    result = { format: 'ogg', tags, channels: identification[11], sampleRate };
+    if (sampleRate) result.duration = lastOggGranule(buffer) / sampleRate;
+    if (comment && comment.toString('latin1', 1, 7) === 'vorbis') parseVorbisComment(comment, 7, tags);
+  } else if (identification.toString('latin1', 0, 8) === 'OpusHead') {
+    // Opus always runs at 48kHz internally, the header stores the original rate
+    const preSkip = identification.readUInt16LE(10);
+    result = { format: 'opus', tags, channels: identification[9], sampleRate: identification.readUInt32LE(12) || 48000 };
+    result.duration = Math.max(0, lastOggGranule(buffer) - preSkip) / 48000;
+    if (comment && comment.toString('latin1', 0, 8) === 'OpusTags') parseVorbisComment(comment, 8, tags);
+  } else {
+    return { format: 'ogg', tags };
+  }
+
+  if (result.duration) result.bitrate = Math.round(buffer.length * 8 / result.duration);
+  return result;
+}
+
+function parseWav(buffer) {
+  const tags = {};
+  const result = { format: 'wav', tags };
+  let byteRate = 0;
+  let pos = 12;
+
+  while (pos + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    const body = pos + 8;
+
+    if (id === 'fmt ') {
+      result.channels = buffer.readUInt16LE(body + 2);
+      result.sampleRate = buffer.readUInt32LE(body + 4);
+      byteRate = buffer.readUInt32LE(body + 8);
+      result.bitDepth = buffer.readUInt16LE(body + 14);
+      result.bitrate = byteRate * 8;
+    } else if (id === 'data') {
+      if (byteRate) result.duration = Math.min(size, buffer.length - body) / byteRate;
+    } else if (id === 'LIST' && buffer.toString('latin1', body, body + 4) === 'INFO') {
+      let infoPos = body + 4;
+      while (infoPos + 8 <= Math.min(body + size, buffer.length)) {
+        const infoId = buffer.toString('latin1', infoPos, infoPos + 4);
+        const infoSize = buffer.readUInt32LE(infoPos + 4);
+        const value = cleanText(buffer.toString('utf8', infoPos + 8, infoPos + 8 + infoSize));
+        setTag(tags, RIFF_INFO_FIELDS[infoId], infoId === 'ICRD' ? value.slice(0, 4) : value);
+        infoPos += 8 + infoSize + (infoSize % 2);
+      }
+    } else if (id === 'id3 ' || id === 'ID3 ') {
+      parseId3v2(buffer, body, tags);
+    }
+
+    pos = body + size + (size % 2);
+  }
+
+  return result;
+}
+
+// Iterate MP4 atoms between start and end
+function* mp4Atoms(buffer, start, end) {
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header) return;
+    yield { type, start: pos + header, end: Math.min(end, pos + size) };
+    pos += size;
+  }
+}
+
+function findMp4Atom(buffer, start, end, path) {
+  const [type, ...rest] = path;
+  for (const atom of mp4Atoms(buffer, start, end)) {
+    if (atom.type === type) {
+      // 'meta' is a full atom: 4 bytes of version/flags before its children
+      const childStart = type === 'meta' ? atom.start + 4 : atom.start;
+      return rest.length === 0 ? atom : findMp4Atom(buffer, childStart, atom.end, rest);
+    }
+  }
+  return null;
+}
+
+function parseMp4(buffer) {
+  const tags = {};
+  const result = { format: 'm4a', tags };
+  const moov = findMp4Atom(buffer, 0, buffer.length, ['moov']);
+  if (!moov) return result;
+
+  const mvhd = findMp4Atom(buffer, moov.start, moov.end, ['mvhd']);
+  if (mvhd) {
+    const version = buffer[mvhd.start];
+    const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+      ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+      : buffer.readUInt32BE(mvhd.start + 16);
+    if (timescale) {
+      result.duration = duration / timescale;
+      result.bitrate = Math.round(buffer.length * 8 / result.duration);
+    }
+  }
+
+  // First audio sample entry (mp4a, alac, ...) of the first track
+  const stsd = findMp4Atom(buffer, moov.start, moov.end, ['trak', 'mdia', 'minf', 'stbl', 'stsd']);
+  if (stsd && stsd.start + 44 <= stsd.end) {
+    const entry = stsd.start + 8; // version/flags + entry count
+    result.channels = buffer.readUInt16BE(entry + 24);
+    result.bitDepth = buffer.readUInt16BE(entry + 26);
+    result.sampleRate = buffer.readUInt32BE(entry + 32) >>> 16;
+    // Lossy codecs report a nominal 16-bit sample size
+    if (buffer.toString('latin1', entry + 4, entry + 8) !== 'alac') delete result.bitDepth;
+  }
+
+  const ilst = findMp4Atom(buffer, moov.start, moov.end, ['udta', 'meta', 'ilst']);
+  if (ilst) {
+    for (const item of mp4Atoms(buffer, ilst.start, ilst.end)) {
+      const data = findMp4Atom(buffer, item.start, item.end, ['data']);
+      if (!data) continue;
+      const payload = buffer.subarray(data.start + 8, data.end);
+      if (item.type === 'gnre' && payload.length >= 2) {
+        setTag(tags, 'genre', ID3_GENRES[payload.readUInt16BE(0) - 1]);
+      } else if (MP4_TAGS[item.type]) {
+        const value = payload.toString('utf8').trim();
+        setTag(tags, MP4_TAGS[item.type], item.type === '©day' ? value.slice(0, 4) : value);
+      }
+    }
+  }
+
+  return result;
+}
+
+// Audio format from the first bytes of a file, null if not one of PARSERS
+function detectFormat(buffer) {
+  const head = buffer.toString('latin1', 0, 12);
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WAVE') return 'wav';
+  if (head.startsWith('fLaC')) return 'flac';
+  if (head.startsWith('OggS')) return 'ogg';
+  if (head.slice(4, 8) === 'ftyp') return 'm4a';
+  if (head.startsWith('ID3') || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'mp3';
+  return null;
+}
+
+const PARSERS = { mp3: parseMp3, flac: parseFlac, ogg: parseOgg, wav: parseWav, m4a: parseMp4 };
+
+/**
+ * Read tags and technical info from an audio file.
+ * Returns { format, tags: { title, artist, album, year, genre },
+ *   duration, sampleRate, bitDepth, channels, bitrate } with missing values omitted,
+ * or null if the format is not recognised.
+ */
+async function readAudioMetadata(filepath) {
+  const buffer = await fs.promises.readFile(filepath);
+  const format = detectFormat(buffer);
+  if (!format) return null;
+
+  try {
+    return PARSERS[format](buffer);
+  } catch (e) {
+    // Truncated or malformed tags: keep the format, drop the rest
+    if (e instanceof RangeError) return { format, tags: {} };
+    throw e;
+  }
+}
+
+module.exports = { detectFormat, readAudioMetadata };
@@ -0,0 +1,572 @@
+/**
+ * Full-site backups: everything in data/ plus the audio in public/work, as one .tar.gz
+ * The archive ends with manifest.json, which lists every file with its size and SHA-256.
+ * An import is unpacked to data/.restore/ and checked against the manifest and the data
+ * schemas first. It is then compared with the live site and only replaces it on request.
+ * Login sessions and the signing key are not part of a backup: restoring keeps
+ * everyone logged in, and links signed before the restore keep working.
+ * A restore runs alone: a second one is refused and data writes fail until it is done.
+ * Used by the admin Backup page and scripts/backup.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+const store = require('./store');
+const { WORK_DIR } = require('./work');
+const { diffHunks } = require('./diff');
+
+const FORMAT = 'hellajay-backup';
+const VERSION = 1;
+const MANIFEST = 'manifest.json';
+
+// Imports waiting for confirmation, and backups saved on the server
+const RESTORE_DIR = path.join(store.DATA_DIR, '.restore');
+const SAVED_DIR = path.join(store.DATA_DIR, 'backups');
+// Backups taken automatically before a restore, older ones are deleted
+const SAVED_LIMIT = 5;
+// Unconfirmed imports are cleaned up after a day
+const RESTORE_LIFETIME = 24 * 60 * 60 * 1000;
+
+// Not backed up, and left alone by a restore
+const EXCLUDED = ['data/sessions.json', 'data/secret.key', 'data/.restore', 'data/backups'];
+// Suffix of an import being restored (renamed so it can only be applied once)
+const CLAIMED = '.applying';
+
+// Documents whose changes are shown line by line before a restore
+const CONTENT_DOCUMENT = /^data\/(bio|tracks|sections|services|languages|locales\/[^/]+)\.json$/;
+
+class BackupError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'BackupError';
+    this.problems = problems;
+  }
+}
+
+// Archive paths
+
+function isExcluded(file) {
+  return EXCLUDED.some(excluded => file === excluded || file.startsWith(`${excluded}/`));
+}
+
+// "data/locales/en.json" or "work/song.mp3": no absolute paths, no "..", audio stays flat
+function isArchivePath(file) {
+  if (typeof file !== 'string' || file.includes('\\') || file.includes('\0')) return false;
+  const parts = file.split('/');
+  if (parts.some(part => part === '' || part === '.' || part === '..')) return false;
+  if (parts[0] === 'work') return parts.length === 2 && parts[1] !== '.gitkeep';
+  return parts[0] === 'data' && parts.length > 1 && !isExcluded(file);
+}
+
+function absolutePath(file) {
+  const [root, ...rest] = file.split('/');
+  return path.join(root === 'work' ? WORK_DIR : store.DATA_DIR, ...rest);
+}
+
+// Files under dir as archive paths (prefix/...), sorted
+function walk(dir, prefix) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return entries.flatMap(entry => {
+    const file = `${prefix}/${entry.name}`;
+    if (entry.isDirectory()) return walk(path.join(dir, entry.name), file);
+    // Temporary files of writes in progress
+    return entry.isFile() && !entry.name.endsWith('.tmp') ? [file] : [];
+  }).filter(isArchivePath).sort();
+}
+
+// Every file a backup contains, as archive paths
+function siteFiles() {
+  return [...walk(store.DATA_DIR, 'data'), ...walk(WORK_DIR, 'work')];
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+async function hashFile(file) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+// Tar (ustar) format: a 512-byte header per file, content padded to 512 bytes,
+// two empty blocks at the end. Any tar tool can open the archives.
+
+const BLOCK = 512;
+
+function padding(size) {
+  return Buffer.alloc((BLOCK - size % BLOCK) % BLOCK);
+}
+
+// Names over 100 bytes go in the 155-byte prefix field, split on a "/"
+function splitName(file) {
+  if (Buffer.byteLength(file) <= 100) return { name: file, prefix: '' };
+  for (let i = file.indexOf('/'); i !== -1; i = file.indexOf('/', i + 1)) {
+    const prefix = file.slice(0, i);
+    const name = file.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) return { name, prefix };
+  }
+  throw new BackupError(`File path too long for the archive: ${file}`);
+}
+
+function octal(value, length) {
+  return `${value.toString(8).padStart(length - 1, '0')}\0`;
+}
+
+function tarHeader(file, size, mtime) {
+  const header = Buffer.alloc(BLOCK);
+  const { name, prefix } = splitName(file);
+  header.write(name, 0, 100);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime / 1000), 12), 136);
+  header.write(' '.repeat(8), 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+}
+
+function readString(header, start, length) {
+  const text = header.toString('utf8', start, start + length);
+  const end = text.indexOf('\0');
+  return end === -1 ? text : text.slice(0, end);
+}
+
+// { path, size, type } of a header block, null for the end-of-archive block
+function parseHeader(header) {
+  if (header.every(byte => byte === 0)) return null;
+
+  let checksum = 0;
+  header.forEach((byte, index) => {
+    checksum += index >= 148 && index < 156 ? 32 : byte;
+  });
+  if (checksum !== parseInt(readString(header, 148, 8).trim(), 8) || readString(header, 257, 6) !== 'ustar') {
+    throw new BackupError('Not a backup archive (invalid tar header)');
+  }
+
+  const name = readString(header, 0, 100);
+  const prefix = readString(header, 345, 155);
+  return {
+    path: prefix ? `${prefix}/${name}` : name,
+    size: parseInt(readString(header, 124, 12).trim(), 8),
+    type: readString(header, 156, 1) || '0'
+  };
+}
+
+// Export
+
+// "hellajay-backup-2026-10-19-1530.tar.gz"
+function backupFileName(date = new Date()) {
+  const stamp = date.toISOString().slice(0, 16).replace('T', '-').replace(':', '');
+  return `${FORMAT}-${stamp}.tar.gz`;
+}
+
+/**
+ * Write a backup of the whole site to a writable stream (file or HTTP response).
+ * Resolves to the manifest once the stream is finished.
+ */
+async function writeBackup(output) {
+  const gzip = zlib.createGzip();
+  const finished = pipeline(gzip, output);
+  const write = async chunk => {
+    if (!gzip.write(chunk)) await Promise.race([once(gzip, 'drain'), finished]);
+  };
+
+  const manifest = { format: FORMAT, version: VERSION, createdAt: new Date().toISOString(), files: [] };
+  try {
+    for (const file of siteFiles()) {
+      let content;
+      let stat;
+      try {
+        // Whole files (50MB at most for audio): size and checksum always match the content
+        content = await fs.promises.readFile(absolutePath(file));
+        stat = await fs.promises.stat(absolutePath(file));
+      } catch (e) {
+        // Deleted since the listing
+        if (e.code === 'ENOENT') continue;
+        throw e;
+      }
+      await write(tarHeader(file, content.length, stat.mtimeMs));
+      await write(content);
+      await write(padding(content.length));
+      manifest.files.push({ path: file, size: content.length, sha256: sha256(content) });
+    }
+
+    const manifestContent = Buffer.from(JSON.stringify(manifest, null, 2));
+    await write(tarHeader(MANIFEST, manifestContent.length, Date.now()));
+    await write(manifestContent);
+    await write(padding(manifestContent.length));
+    await write(Buffer.alloc(BLOCK * 2));
+    gzip.end();
+  } catch (e) {
+    gzip.destroy(e);
+  }
+  await finished;
+  return manifest;
+}
+
+// Backups saved on the server (taken before each restore), newest first
+function listSavedBackups() {
+  let names;
+  try {
+    names = fs.readdirSync(SAVED_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return names
+    .filter(name => name.endsWith('.tar.gz'))
+    .map(name => ({ name, size: fs.statSync(path.join(SAVED_DIR, name)).size }))
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+function savedBackupPath(name) {
+  return listSavedBackups().some(backup => backup.name === name) ? path.join(SAVED_DIR, name) : null;
+}
+
+async function saveBackup(prefix) {
+  await fs.promises.mkdir(SAVED_DIR, { recursive: true });
+  const name = `${prefix}-${backupFileName()}`;
+  await writeBackup(fs.createWriteStream(path.join(SAVED_DIR, name)));
+
+  const stale = listSavedBackups().filter(backup => backup.name.startsWith(`${prefix}-`)).slice(SAVED_LIMIT);
+  await Promise.all(stale.map(backup => fs.promises.rm(path.join(SAVED_DIR, backup.name), { force: true })));
+  return name;
+}
+
+// Import
+
+function stagingDir(id) {
+  return path.join(RESTORE_DIR, id);
+}
+
+/**
+ * Unpack an archive into dir/files, hashing each file on the way.
+ * Resolves to { manifest, entries: { path: { size, sha256 } } }.
+ */
+async function extractArchive(archive, dir) {
+  const entries = {};
+  let manifestContent = null;
+  let buffer = Buffer.alloc(0);
+  let current = null;
+  let ended = false;
+
+  // Read errors end the loop too (the callback only avoids an unhandled error)
+  const source = stream.pipeline(fs.createReadStream(archive), zlib.createGunzip(), () => {});
+  try {
+    for await (const chunk of source) {
+      if (ended) continue;
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+      while (!ended) {
+        if (!current) {
+          if (buffer.length < BLOCK) break;
+          const header = parseHeader(buffer.subarray(0, BLOCK));
+          buffer = buffer.subarray(BLOCK);
+          if (!header) {
+            ended = true;
+            break;
+          }
+          // Folders (archives repacked with another tar tool) are created with their files
+          if (header.type === '5' && header.size === 0) continue;
+          if (header.type !== '0') throw new BackupError(`Unexpected entry in the archive: ${header.path}`);
+          if (entries[header.path] || (header.path === MANIFEST && manifestContent)) {
+            throw new BackupError(`File listed twice in the archive: ${header.path}`);
+          }
+
+          current = { ...header, remaining: header.size, hash: crypto.createHash('sha256'), chunks: [] };
+          // Excluded paths (sessions, signing key...) are read past, never unpacked
+          if (isExcluded(header.path)) {
+            current.skip = true;
+          } else if (header.path !== MANIFEST) {
+            if (!isArchivePath(header.path)) throw new BackupError(`Unexpected file in the archive: ${header.path}`);
+            const target = path.join(dir, 'files', ...header.path.split('/'));
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            current.fd = fs.openSync(target, 'w');
+          }
+        }
+
+        const take = Math.min(current.remaining, buffer.length);
+        const data = buffer.subarray(0, take);
+        buffer = buffer.subarray(take);
+        current.remaining -= take;
+        current.hash.update(data);
+        if (current.fd !== undefined) {
+          fs.writeSync(current.fd, data);
+        } else if (!current.skip) {
+          current.chunks.push(data);
+        }
+
+        if (current.remaining > 0) break;
+        const skip = (BLOCK - current.size % BLOCK) % BLOCK;
+        if (buffer.length < skip) break;
+        buffer = buffer.subarray(skip);
+
+        if (current.fd !== undefined) {
+          fs.closeSync(current.fd);
+          entries[current.path] = { size: current.size, sha256: current.hash.digest('hex') };
+        } else if (!current.skip) {
+          manifestContent = Buffer.concat(current.chunks).toString('utf8');
+        }
+        current = null;
+      }
+    }
+  } catch (e) {
+    if (current?.fd !== undefined) fs.closeSync(current.fd);
+    if (e instanceof BackupError) throw e;
+    throw new BackupError(`Cannot read the archive (${e.code === 'Z_DATA_ERROR' ? 'not a .tar.gz file' : e.message})`);
+  }
+
+  if (!ended || current) throw new BackupError('The archive is incomplete');
+  if (!manifestContent) throw new BackupError('The archive has no manifest.json');
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestContent);
+  } catch (e) {
+    throw new BackupError(`manifest.json is not valid JSON (${e.message})`);
+  }
+  return { manifest, entries };
+}
+
+// Problems of an unpacked archive: manifest, checksums and data files
+function checkArchive(dir, manifest, entries) {
+  if (manifest?.format !== FORMAT || !Array.isArray(manifest.files)) {
+    return ['manifest.json is not a site backup manifest'];
+  }
+  if (manifest.version > VERSION) {
+    return [`The backup was made by a newer version (format ${manifest.version}), update the site first`];
+  }
+
+  const problems = [];
+  manifest.files.forEach((file, index) => {
+    if (typeof file?.path !== 'string') problems.push(`manifest.json: entry #${index + 1} has no file path`);
+  });
+  if (problems.length > 0) return problems;
+
+  const listed = new Set();
+  manifest.files.filter(file => !isExcluded(file.path)).forEach(file => {
+    listed.add(file.path);
+    const entry = entries[file.path];
+    if (!entry) {
+      problems.push(`Missing from the archive: ${file.path}`);
+    } else if (entry.size !== file.size || entry.sha256 !== file.sha256) {
+      problems.push(`Checksum mismatch (damaged file): ${file.path}`);
+    }
+  });
+  Object.keys(entries).filter(file => !listed.has(file)).forEach(file => {
+    problems.push(`Not in the manifest: ${file}`);
+  });
+  if (problems.length > 0) return problems;
+
+  // Data files must be readable by the site
+  const documents = {};
+  Object.keys(entries).filter(file => file.startsWith('data/')).forEach(file => {
+    const name = store.collectionName(file.slice('data/'.length));
+    if (!name) return;
+    try {
+      documents[name] = JSON.parse(fs.readFileSync(path.join(dir, 'files', ...file.split('/')), 'utf8'));
+    } catch (e) {
+      problems.push(`${file} is not valid JSON`);
+      return;
+    }
+    const problem = store.checkData(name, documents[name]);
+    if (problem) problems.push(`${file}: ${problem}`);
+  });
+  if (problems.length > 0) return problems;
+
+  // Collections the site cannot start without (the others have a default)
+  ['bio', 'tracks'].forEach(name => {
+    if (!documents[name]) problems.push(`Missing from the archive: data/${name}.json`);
+  });
+  documents.languages?.languages.forEach(({ code }) => {
+    if (!documents[`locales/${code}`]) problems.push(`Missing from the archive: data/locales/${code}.json`);
+  });
+  documents.tracks?.tracks.forEach(track => {
+    const audio = track.private ? `data/private/${track.filename}` : `work/${track.filename}`;
+    if (!entries[audio]) problems.push(`Audio of "${track.title}" is missing from the archive: ${audio}`);
+  });
+  return problems;
+}
+
+// Unconfirmed imports left behind
+async function removeStaleImports() {
+  let ids;
+  try {
+    ids = await fs.promises.readdir(RESTORE_DIR);
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+  for (const id of ids) {
+    if (restoring && id.endsWith(CLAIMED)) continue;
+    const { mtimeMs } = await fs.promises.stat(stagingDir(id));
+    if (Date.now() - mtimeMs > RESTORE_LIFETIME) {
+      await fs.promises.rm(stagingDir(id), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Unpack and check an archive. Resolves to the id of the prepared restore,
+ * or throws a BackupError (with the list of `problems` when the content is wrong).
+ */
+async function prepareRestore(archive) {
+  await removeStaleImports();
+  const id = crypto.randomBytes(12).toString('hex');
+  const dir = stagingDir(id);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  try {
+    const { manifest, entries } = await extractArchive(archive, dir);
+    const problems = checkArchive(dir, manifest, entries);
+    if (problems.length > 0) throw new BackupError('The archive failed the checks', problems);
+    manifest.files = manifest.files.filter(file => !isExcluded(file.path));
+    await fs.promises.writeFile(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+  } catch (e) {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    throw e;
+  }
+  return id;
+}
+
+function readStagedManifest(id) {
+  if (!/^[0-9a-f]{24}$/.test(id || '')) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(stagingDir(id), MANIFEST), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * What a prepared restore would change, or null if the id is unknown:
+ * { manifest, added, changed, removed, unchanged, documents: [{ path, hunks }] }
+ */
+async function restorePreview(id) {
+  const manifest = readStagedManifest(id);
+  if (!manifest) return null;
+
+  const incoming = new Map(manifest.files.map(file => [file.path, file]));
+  const current = siteFiles();
+  const currentSet = new Set(current);
+  const added = manifest.files.filter(file => !currentSet.has(file.path)).map(file => file.path);
+  const removed = current.filter(file => !incoming.has(file));
+  const changed = [];
+  let unchanged = 0;
+  for (const file of current.filter(file => incoming.has(file))) {
+    if (await hashFile(absolutePath(file)) === incoming.get(file).sha256) {
+      unchanged++;
+    } else {
+      changed.push(file);
+    }
+  }
+
+  const documents = [...changed, ...added].filter(file => CONTENT_DOCUMENT.test(file)).sort().map(file => ({
+    path: file,
+    hunks: diffHunks(readJson(absolutePath(file)), readJson(path.join(stagingDir(id), 'files', ...file.split('/'))))
+  }));
+  return { manifest, added, changed, removed, unchanged, documents };
+}
+
+// Rename, or copy when data/ and public/work are on different volumes
+async function moveFile(from, to) {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    await fs.promises.copyFile(from, to);
+    await fs.promises.rm(from);
+  }
+}
+
+// Set while a restore replaces the files
+let restoring = false;
+
+/**
+ * Replace the site with a prepared restore. The current site is saved to
+ * data/backups/ first. Resolves to { manifest, savedAs }, or null if the id is unknown
+ * (or already restored). Throws a BackupError while another restore is running.
+ * The import is renamed before anything changes, so a double submit (or the
+ * command line script at the same time) cannot apply it twice.
+ */
+async function applyRestore(id) {
+  if (restoring) throw new BackupError('Another restore is running, wait for it to finish');
+  const manifest = readStagedManifest(id);
+  if (!manifest) return null;
+
+  restoring = true;
+  try {
+    const dir = stagingDir(`${id}${CLAIMED}`);
+    try {
+      await fs.promises.rename(stagingDir(id), dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+
+    try {
+      return await store.exclusive('a backup is being restored, try again in a moment', async () => {
+        const savedAs = await saveBackup('before-restore');
+        const incoming = new Set(manifest.files.map(file => file.path));
+        for (const file of siteFiles().filter(file => !incoming.has(file))) {
+          await fs.promises.rm(absolutePath(file), { force: true });
+        }
+        for (const file of manifest.files) {
+          await moveFile(path.join(dir, 'files', ...file.path.split('/')), absolutePath(file.path));
+        }
+        return { manifest, savedAs };
+      });
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  } finally {
+    restoring = false;
+  }
+}
+
+function discardRestore(id) {
+  if (!/^[0-9a-f]{24}$/.test(id || '')) return Promise.resolve();
+  return fs.promises.rm(stagingDir(id), { recursive: true, force: true });
+}
+
+module.exports = {
+  BackupError,
+  RESTORE_DIR,
+  backupFileName,
+  writeBackup,
+  listSavedBackups,
+  savedBackupPath,
+  prepareRestore,
+  restorePreview,
+  applyRestore,
+  discardRestore
+};
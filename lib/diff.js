@@ -0,0 +1,99 @@
+/**
+ * Line diff between two JSON documents, for the admin history view
+ * Documents are compared as pretty-printed JSON so key edits, added tracks
+ * and order changes all show up as plain added/removed lines.
+ */
+
+// Lines of context kept around each change
+const CONTEXT = 3;
+// Above this many line pairs the LCS table gets too big: show a full replace instead
+const MAX_CELLS = 4000000;
+
+function toLines(data) {
+  return data === undefined || data === null ? [] : JSON.stringify(data, null, 2).split('\n');
+}
+
+// Longest common subsequence over the lines that differ after trimming the common ends
+function diffMiddle(before, after) {
+  const n = before.length;
+  const m = after.length;
+  if (n * m > MAX_CELLS) {
+    return [
+      ...before.map(text => ({ type: 'removed', text })),
+      ...after.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      lines.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: before[i++] });
+    } else {
+      lines.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < n) lines.push({ type: 'removed', text: before[i++] });
+  while (j < m) lines.push({ type: 'added', text: after[j++] });
+  return lines;
+}
+
+/**
+ * Full line diff: [{ type: 'same' | 'added' | 'removed', text }]
+ */
+function diffLines(beforeData, afterData) {
+  const before = toLines(beforeData);
+  const after = toLines(afterData);
+
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+         before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+  const same = text => ({ type: 'same', text });
+  return [
+    ...before.slice(0, start).map(same),
+    ...diffMiddle(before.slice(start, before.length - end), after.slice(start, after.length - end)),
+    ...before.slice(before.length - end).map(same)
+  ];
+}
+
+/**
+ * Changed lines grouped into hunks with CONTEXT lines around them.
+ * Returns [] when both documents are identical.
+ */
+function diffHunks(beforeData, afterData) {
+  const lines = diffLines(beforeData, afterData);
+  const hunks = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    if (line.type === 'same') return;
+    if (current && index - current.end <= CONTEXT * 2) {
+      current.end = index;
+    } else {
+      current = { start: Math.max(0, index - CONTEXT), end: index };
+      hunks.push(current);
+    }
+  });
+
+  return hunks.map(({ start, end }) => ({ lines: lines.slice(start, Math.min(lines.length, end + 1 + CONTEXT)) }));
+}
+
+module.exports = { diffLines, diffHunks };
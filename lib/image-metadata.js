@@ -0,0 +1,190 @@
+/**
+ * Remove location and camera metadata from uploaded images
+ * Phones write GPS coordinates, camera model and dates into EXIF (and XMP) blocks.
+ * These are dropped without touching the image data: JPEG APP1/APP13 and comment
+ * segments, PNG eXIf and text chunks, WebP EXIF and XMP chunks. GIF has no EXIF.
+ * Anything after the end of the first JPEG image is dropped too: multi-picture
+ * files (MPO, gain maps) append more images with their own EXIF.
+ * The JPEG orientation is the one tag kept (in a minimal EXIF block), otherwise
+ * portrait photos would show up sideways.
+ */
+
+const fs = require('fs');
+
+// JPEG markers without a length field
+const STANDALONE = new Set([0x01, 0xD0, 0xD1, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8]);
+const APP1 = 0xE1;
+const APP2 = 0xE2;
+const APP13 = 0xED;
+const COM = 0xFE;
+const SOS = 0xDA;
+const EOI = 0xD9;
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const MPF_HEADER = Buffer.from('MPF\0', 'latin1');
+
+const PNG_SIGNATURE = Buffer.from('\x89PNG\r\n\x1a\n', 'latin1');
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+// VP8X flag bits announcing the chunks above
+const WEBP_METADATA_FLAGS = 0x08 | 0x04;
+
+// Orientation tag (1-8) of a TIFF block, 1 when absent or unreadable
+function readOrientation(tiff) {
+  if (tiff.length < 8) return 1;
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return 1;
+  const little = order === 'II';
+  const u16 = offset => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const u32 = offset => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return 1;
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (u16(entry) === 0x0112) {
+      const value = u16(entry + 8);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+// APP1 segment holding only the orientation tag
+function orientationSegment(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4); // IFD0 right after the header
+  tiff.writeUInt16BE(1, 8); // one entry
+  tiff.writeUInt16BE(0x0112, 10); // Orientation
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  // bytes 20-25: value padding and "no next IFD", left at 0
+  const header = Buffer.from([0xFF, APP1, 0, 0]);
+  header.writeUInt16BE(2 + EXIF_HEADER.length + tiff.length, 2);
+  return Buffer.concat([header, EXIF_HEADER, tiff]);
+}
+
+// APP2 multi-picture index, pointing at the appended images that are not kept
+function isMpf(marker, data) {
+  return marker === APP2 && data.subarray(0, MPF_HEADER.length).equals(MPF_HEADER);
+}
+
+function stripJpeg(buffer) {
+  if (buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+  const parts = [buffer.subarray(0, 2)];
+  let orientation = 1;
+  let exifIndex = -1;
+  let pos = 2;
+
+  while (pos < buffer.length) {
+    if (buffer[pos] !== 0xFF) return null;
+    let marker = buffer[pos + 1];
+    const start = pos;
+    // Fill bytes before a marker
+    while (marker === 0xFF) {
+      pos++;
+      marker = buffer[pos + 1];
+    }
+    if (marker === undefined) return null;
+    // End of the first image: whatever follows (appended images) is dropped
+    if (marker === EOI) {
+      parts.push(buffer.subarray(start, pos + 2));
+      break;
+    }
+    if (STANDALONE.has(marker)) {
+      parts.push(buffer.subarray(start, pos + 2));
+      pos += 2;
+      continue;
+    }
+    if (pos + 4 > buffer.length) return null;
+    let end = pos + 2 + buffer.readUInt16BE(pos + 2);
+    if (end > buffer.length) return null;
+
+    // Scan header and its image data, copied as is up to the next marker
+    // (0xFF 0x00 is an escaped data byte, 0xFF 0xD0-0xD7 a restart marker)
+    if (marker === SOS) {
+      while (end < buffer.length && !(buffer[end] === 0xFF && buffer[end + 1] !== 0x00 &&
+        !(buffer[end + 1] >= 0xD0 && buffer[end + 1] <= 0xD7))) {
+        end++;
+      }
+      parts.push(buffer.subarray(start, end));
+      pos = end;
+      continue;
+    }
+    const data = buffer.subarray(pos + 4, end);
+    if (marker === APP1) {
+      // EXIF or XMP
+      if (data.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER)) {
+        orientation = readOrientation(data.subarray(EXIF_HEADER.length));
+        if (exifIndex === -1) exifIndex = parts.length;
+      }
+    } else if (marker !== APP13 && marker !== COM && !isMpf(marker, data)) {
+      parts.push(buffer.subarray(start, end));
+    }
+    pos = end;
+  }
+
+  if (orientation !== 1) parts.splice(exifIndex, 0, orientationSegment(orientation));
+  return Buffer.concat(parts);
+}
+
+function stripPng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  const parts = [PNG_SIGNATURE];
+  let pos = 8;
+  while (pos < buffer.length) {
+    if (pos + 12 > buffer.length) return null;
+    const end = pos + 12 + buffer.readUInt32BE(pos);
+    if (end > buffer.length) return null;
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    if (!PNG_METADATA_CHUNKS.includes(type)) parts.push(buffer.subarray(pos, end));
+    pos = end;
+    if (type === 'IEND') break;
+  }
+  return Buffer.concat(parts);
+}
+
+function stripWebp(buffer) {
+  if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WEBP') return null;
+  const parts = [Buffer.from(buffer.subarray(0, 12))];
+  let pos = 12;
+  while (pos < buffer.length) {
+    if (pos + 8 > buffer.length) return null;
+    const size = buffer.readUInt32LE(pos + 4);
+    const end = pos + 8 + size + (size % 2);
+    if (end > buffer.length) return null;
+    const type = buffer.toString('latin1', pos, pos + 4);
+    if (type === 'VP8X') {
+      const chunk = Buffer.from(buffer.subarray(pos, end));
+      chunk[8] &= ~WEBP_METADATA_FLAGS;
+      parts.push(chunk);
+    } else if (!WEBP_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(pos, end));
+    }
+    pos = end;
+  }
+  const result = Buffer.concat(parts);
+  result.writeUInt32LE(result.length - 8, 4);
+  return result;
+}
+
+const STRIPPERS = { jpeg: stripJpeg, png: stripPng, webp: stripWebp, gif: buffer => buffer };
+
+/**
+ * Rewrite the image at filepath ('jpeg', 'png', 'webp' or 'gif') without its metadata.
+ * Resolves false, leaving the file untouched, when its structure cannot be read.
+ */
+async function stripImageMetadata(filepath, format) {
+  const buffer = await fs.promises.readFile(filepath);
+  const stripped = STRIPPERS[format] ? STRIPPERS[format](buffer) : null;
+  if (!stripped) return false;
+  if (!stripped.equals(buffer)) await fs.promises.writeFile(filepath, stripped);
+  return true;
+}
+
+module.exports = { stripImageMetadata };
@@ -0,0 +1,101 @@
+/**
+ * Inquiry inbox - persistent store for contact form submissions
+ * Every submission is written to data/inquiries.json before any email is sent.
+ * Suspected spam is kept in quarantine ({ reasons }) until released or deleted,
+ * and pruned after QUARANTINE_DAYS.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+
+// Pipeline statuses, in the order they are shown in the admin
+const STATUSES = ['new', 'replied', 'quoted', 'won', 'lost'];
+
+const QUARANTINE_DAYS = 30;
+
+// Store a new submission and return the saved record
+function addInquiry(fields) {
+  const inquiry = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    email: fields.email,
+    bandName: fields.bandName || '',
+    numberOfSongs: fields.numberOfSongs || '',
+    links: fields.links || '',
+    services: fields.services || [],
+    rush: Boolean(fields.rush),
+    estimate: fields.estimate || null,
+    message: fields.message,
+    lang: fields.lang || '',
+    status: 'new',
+    notes: '',
+    emailStatus: 'pending',
+    quarantine: fields.quarantine || null
+  };
+  const cutoff = new Date(Date.now() - QUARANTINE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  return store.update('inquiries', data => {
+    data.inquiries = data.inquiries.filter(i => !i.quarantine || i.createdAt >= cutoff);
+    data.inquiries.push(inquiry);
+    return inquiry;
+  });
+}
+
+// Submissions from this email address since the given time (ms), quarantined ones left out
+function countRecentInquiries(email, since) {
+  const address = email.toLowerCase();
+  const from = new Date(since).toISOString();
+  return store.read('inquiries').inquiries
+    .filter(i => !i.quarantine && i.email.toLowerCase() === address && i.createdAt >= from).length;
+}
+
+// Apply changes to an existing inquiry, returns null if not found
+function updateInquiry(id, changes) {
+  return store.update('inquiries', data => {
+    const inquiry = data.inquiries.find(i => i.id === id);
+    if (!inquiry) return null;
+
+    Object.assign(inquiry, changes, { updatedAt: new Date().toISOString() });
+    return inquiry;
+  });
+}
+
+// Newest first, optionally filtered by search text, service and status.
+// The inbox and the quarantine are listed separately.
+function findInquiries({ q, service, status, quarantined = false } = {}) {
+  const search = (q || '').trim().toLowerCase();
+
+  return store.read('inquiries').inquiries
+    .filter(i => Boolean(i.quarantine) === quarantined)
+    .filter(i => !search ||
+      i.email.toLowerCase().includes(search) ||
+      (i.bandName || '').toLowerCase().includes(search))
+    .filter(i => !service || (i.services || []).includes(service))
+    .filter(i => !status || i.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function quarantineCount() {
+  return store.read('inquiries').inquiries.filter(i => i.quarantine).length;
+}
+
+// Remove an inquiry, resolves to it or null if not found
+function deleteInquiry(id) {
+  return store.update('inquiries', data => {
+    const index = data.inquiries.findIndex(i => i.id === id);
+    return index === -1 ? null : data.inquiries.splice(index, 1)[0];
+  });
+}
+
+// Delete every quarantined inquiry, resolves to how many were removed
+function clearQuarantine() {
+  return store.update('inquiries', data => {
+    const count = data.inquiries.length;
+    data.inquiries = data.inquiries.filter(i => !i.quarantine);
+    return count - data.inquiries.length;
+  });
+}
+
+module.exports = {
+  STATUSES, QUARANTINE_DAYS, addInquiry, updateInquiry, countRecentInquiries, findInquiries, quarantineCount,
+  deleteInquiry, clearQuarantine
+};
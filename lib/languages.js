@@ -0,0 +1,66 @@
+/**
+ * Site languages - registry in data/languages.json
+ * Each language has its strings in data/locales/<code>.json. A string missing
+ * there falls back to the default language, so a new language can go live
+ * before it is fully translated.
+ */
+
+const store = require('./store');
+
+// Same shape as the locale file names accepted by the store ("de", "pt-BR")
+const LANGUAGE_CODE = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})?$/;
+// Top-level paths already taken by the site
+const RESERVED_CODES = ['api', 'css', 'js'];
+
+// { default, languages: [{ code, name }] }
+function loadLanguages() {
+  return store.read('languages');
+}
+
+function languageCodes() {
+  return loadLanguages().languages.map(l => l.code);
+}
+
+function isValidCode(code) {
+  return typeof code === 'string' && LANGUAGE_CODE.test(code) && !RESERVED_CODES.includes(code);
+}
+
+/**
+ * Register a language and create its (empty) locale file if needed.
+ * Resolves to null if the language already exists.
+ */
+async function addLanguage(code, name) {
+  if (!store.exists(`locales/${code}`)) {
+    await store.write(`locales/${code}`, {});
+  }
+  return store.update('languages', data => {
+    if (data.languages.some(l => l.code === code)) return null;
+    const language = { code, name };
+    data.languages.push(language);
+    return language;
+  });
+}
+
+/**
+ * Unregister a language. Its locale file is kept, so adding it back restores its strings.
+ * Resolves to null if it does not exist or is the default language.
+ */
+function removeLanguage(code) {
+  return store.update('languages', data => {
+    const index = data.languages.findIndex(l => l.code === code);
+    if (index === -1 || data.default === code) return null;
+    return data.languages.splice(index, 1)[0];
+  });
+}
+
+// Resolves to null if the language does not exist
+function setDefaultLanguage(code) {
+  return store.update('languages', data => {
+    const language = data.languages.find(l => l.code === code);
+    if (!language) return null;
+    data.default = code;
+    return language;
+  });
+}
+
+module.exports = { loadLanguages, languageCodes, isValidCode, addLanguage, removeLanguage, setDefaultLanguage };
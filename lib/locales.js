@@ -0,0 +1,123 @@
+/**
+ * Translation editor helpers
+ * Locale files are nested objects of strings. The admin edits them as flat
+ * dotted keys ("contact.title") across all languages, compared with the
+ * defaults shipped in public/locales/ and with the keys the views ask for.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SHIPPED_LOCALES_DIR = path.join(__dirname, '..', 'public', 'locales');
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+// Dotted locale keys as sent by the editor ("contact.servicesLabel")
+const TRANSLATION_KEY = /^[\w-]+(\.[\w-]+)*$/;
+
+// { nav: { about: 'About' } } -> { 'nav.about': 'About' }
+function flatten(locale, prefix = '', result = {}) {
+  Object.entries(locale || {}).forEach(([key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') {
+      result[fullKey] = value;
+    } else {
+      flatten(value, fullKey, result);
+    }
+  });
+  return result;
+}
+
+/**
+ * { 'nav.about': 'About' } -> { nav: { about: 'About' } }
+ * Keys that clash with an existing string ("nav" vs "nav.about") are returned in `conflicts`.
+ */
+function unflatten(flat) {
+  const locale = {};
+  const conflicts = [];
+
+  Object.entries(flat).forEach(([key, value]) => {
+    const parts = key.split('.');
+    let node = locale;
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (node[parts[i]] === undefined) node[parts[i]] = {};
+      node = node[parts[i]];
+      if (typeof node !== 'object') {
+        conflicts.push(key);
+        return;
+      }
+    }
+    const last = parts[parts.length - 1];
+    if (typeof node[last] === 'object') {
+      conflicts.push(key);
+      return;
+    }
+    node[last] = value;
+  });
+
+  return { locale, conflicts };
+}
+
+// Flat defaults shipped with the site for a language, null if none are shipped
+function shippedDefaults(code) {
+  const filepath = path.join(SHIPPED_LOCALES_DIR, `${code}.json`);
+  if (!fs.existsSync(filepath)) return null;
+  return flatten(JSON.parse(fs.readFileSync(filepath, 'utf8')));
+}
+
+/**
+ * Literal keys passed to t() in a view and the partials it includes.
+ * Computed keys (t('nav.' + section)) cannot be resolved and are skipped.
+ */
+function viewKeys(view = 'index', seen = new Set()) {
+  if (seen.has(view)) return [];
+  seen.add(view);
+
+  const source = fs.readFileSync(path.join(VIEWS_DIR, `${view}.ejs`), 'utf8');
+  const keys = [...source.matchAll(/\bt\(\s*(['"])([\w.-]+)\1\s*[,)]/g)].map(match => match[2]);
+  const includes = [...source.matchAll(/\binclude\(\s*(['"])([\w/-]+)\1/g)].map(match => match[2]);
+
+  includes.forEach(include => keys.push(...viewKeys(include, seen)));
+  return [...new Set(keys)];
+}
+
+/**
+ * One row per key across all languages:
+ * { key, values: { code: string }, missing: [codes], changed: [codes], unknown }
+ * - missing: absent or empty in that language (the default language is shown instead)
+ * - changed: differs from the shipped default of that language
+ * - unknown: used by the views but present in no locale
+ */
+function translationRows(codes, locales) {
+  const flat = {};
+  const defaults = {};
+  codes.forEach(code => {
+    flat[code] = flatten(locales[code]);
+    defaults[code] = shippedDefaults(code);
+  });
+
+  const keys = [];
+  codes.forEach(code => keys.push(...Object.keys(flat[code])));
+  const known = new Set(keys);
+  const unknownKeys = viewKeys().filter(key => !known.has(key));
+
+  return [...new Set([...keys, ...unknownKeys])].map(key => {
+    const values = {};
+    const missing = [];
+    const changed = [];
+    const shipped = {};
+
+    codes.forEach(code => {
+      const value = flat[code][key];
+      values[code] = value || '';
+      if (!value) missing.push(code);
+      if (defaults[code] && defaults[code][key] !== undefined && (value || '') !== defaults[code][key]) {
+        changed.push(code);
+        shipped[code] = defaults[code][key];
+      }
+    });
+
+    return { key, values, missing, changed, shipped, unknown: !known.has(key) };
+  });
+}
+
+module.exports = { TRANSLATION_KEY, flatten, unflatten, viewKeys, translationRows };
@@ -0,0 +1,146 @@
+/**
+ * Mail transport factory
+ * Selects the nodemailer transport from the MAIL_TRANSPORT environment variable:
+ *   gmail    - GMAIL_USER / GMAIL_APP_PASSWORD (default when those are set)
+ *   smtp     - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_IGNORE_TLS
+ *   sendmail - local sendmail binary (SENDMAIL_PATH, defaults to /usr/sbin/sendmail)
+ *   file     - write each message as an .eml file to MAIL_DIR (defaults to data/mail)
+ *   none     - accept and discard messages (default when nothing is configured)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', 'data', 'mail');
+const DEFAULT_SENDMAIL_PATH = '/usr/sbin/sendmail';
+const TRANSPORTS = ['gmail', 'smtp', 'sendmail', 'file', 'none'];
+
+function resolveTransportName() {
+  const name = (process.env.MAIL_TRANSPORT || '').trim().toLowerCase();
+  if (name) {
+    if (!TRANSPORTS.includes(name)) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${TRANSPORTS.join(', ')}`);
+    }
+    return name;
+  }
+  // Backwards compatible default: Gmail when its credentials are present
+  if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) {
+    return 'gmail';
+  }
+  return 'none';
+}
+
+// Custom transport writing raw RFC 822 messages to disk (open them in any mail client)
+function createFileTransport(dir) {
+  return {
+    name: 'file',
+    version: '1.0.0',
+    send(mail, callback) {
+      mail.message.build((err, raw) => {
+        if (err) return callback(err);
+        const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        const filepath = path.join(dir, filename);
+        fs.mkdir(dir, { recursive: true }, (mkdirErr) => {
+          if (mkdirErr) return callback(mkdirErr);
+          fs.writeFile(filepath, raw, (writeErr) => {
+            if (writeErr) return callback(writeErr);
+            callback(null, {
+              envelope: mail.message.getEnvelope(),
+              messageId: mail.message.messageId(),
+              path: filepath
+            });
+          });
+        });
+      });
+    },
+    verify(callback) {
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.accessSync(dir, fs.constants.W_OK);
+        callback(null, true);
+      } catch (e) {
+        callback(e);
+      }
+    }
+  };
+}
+
+// Custom transport that accepts everything and sends nothing
+function createNoopTransport() {
+  return {
+    name: 'none',
+    version: '1.0.0',
+    send(mail, callback) {
+      callback(null, {
+        envelope: mail.message.getEnvelope(),
+        messageId: mail.message.messageId()
+      });
+    },
+    verify(callback) {
+      callback(null, true);
+    }
+  };
+}
+
+function createTransportOptions(name) {
+  switch (name) {
+    case 'gmail':
+      return {
+        service: 'gmail',
+        auth: {
+          user: process.env.GMAIL_USER,
+          pass: process.env.GMAIL_APP_PASSWORD
+        }
+      };
+    case 'smtp': {
+      const secure = process.env.SMTP_SECURE === 'true';
+      const options = {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+        secure,
+        ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true'
+      };
+      if (process.env.SMTP_USER) {
+        options.auth = { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS };
+      }
+      return options;
+    }
+    case 'sendmail':
+      return {
+        sendmail: true,
+        newline: 'unix',
+        path: process.env.SENDMAIL_PATH || DEFAULT_SENDMAIL_PATH
+      };
+    case 'file':
+      return createFileTransport(process.env.MAIL_DIR || DEFAULT_MAIL_DIR);
+    default:
+      return createNoopTransport();
+  }
+}
+
+const transportName = resolveTransportName();
+const transporter = nodemailer.createTransport(createTransportOptions(transportName));
+
+// Sender address: explicit MAIL_FROM, otherwise the authenticated account
+const fromAddress = process.env.MAIL_FROM ||
+  (transportName === 'gmail' ? process.env.GMAIL_USER : process.env.SMTP_USER) ||
+  'noreply@localhost';
+
+/**
+ * Check the transport is usable (connection/auth for SMTP, binary for sendmail,
+ * writable directory for file). Calls back with an error or null.
+ */
+function verifyTransport(callback) {
+  if (transportName === 'sendmail') {
+    const sendmailPath = process.env.SENDMAIL_PATH || DEFAULT_SENDMAIL_PATH;
+    fs.access(sendmailPath, fs.constants.X_OK, (err) => {
+      callback(err ? new Error(`sendmail binary not executable: ${sendmailPath}`) : null);
+    });
+    return;
+  }
+  transporter.verify((err) => callback(err || null));
+}
+
+module.exports = { transporter, transportName, fromAddress, verifyTransport };
@@ -0,0 +1,142 @@
+/**
+ * Media library: the profile photo and the gallery images of the public page
+ * Files live in data/images (gallery in data/images/gallery), their list, order
+ * and alt texts in data/media.json. Uploads are checked by content and stripped
+ * of their EXIF/GPS metadata before being kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const store = require('./store');
+const { IMAGE_FORMATS, UploadError, uploadStorage, checkUpload, uniqueName, renameUpload } = require('./uploads');
+const { stripImageMetadata } = require('./image-metadata');
+const { isSafeFilename } = require('./work');
+
+const IMAGES_DIR = path.join(store.DATA_DIR, 'images');
+const GALLERY_DIR = path.join(IMAGES_DIR, 'gallery');
+const IMAGE_MAX_SIZE = 10 * 1024 * 1024; // 10MB
+
+const profileUpload = multer({
+  storage: uploadStorage(IMAGES_DIR),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB
+});
+
+const galleryUpload = multer({
+  storage: uploadStorage(GALLERY_DIR),
+  limits: { fileSize: IMAGE_MAX_SIZE }
+});
+
+function deleteImageFile(filename, dir) {
+  if (!isSafeFilename(filename)) return;
+  fs.rmSync(path.join(dir, filename), { force: true });
+}
+
+// Check, strip and rename an upload. Throws an UploadError (file deleted) when it is not a usable image.
+async function keepImage(file, prefix = '') {
+  const format = await checkUpload(file, IMAGE_FORMATS);
+  if (!await stripImageMetadata(file.path, format)) {
+    await fs.promises.rm(file.path, { force: true });
+    throw new UploadError(`${file.originalname} could not be read as an image`);
+  }
+  return renameUpload(file, uniqueName(file.originalname, format, prefix));
+}
+
+// Public URL of the profile photo
+function profilePhotoPath() {
+  return `/data/images/${encodeURIComponent(store.read('media').profile)}`;
+}
+
+/**
+ * Replace the profile photo with a file stored by profileUpload.
+ * Resolves to the previous file name (already deleted).
+ */
+async function setProfilePhoto(file) {
+  const filename = await keepImage(file, 'profile-');
+  const previous = await store.update('media', media => {
+    const previous = media.profile;
+    media.profile = filename;
+    return previous;
+  });
+  if (previous !== filename) deleteImageFile(previous, IMAGES_DIR);
+  return previous;
+}
+
+function listImages() {
+  return store.read('media').images;
+}
+
+/**
+ * Add a file stored by galleryUpload at the end of the gallery.
+ * Throws an UploadError (file deleted) when it is not a usable image.
+ */
+async function addImage(file) {
+  const filename = await keepImage(file);
+  const image = { filename, alt: {}, uploadedAt: new Date().toISOString() };
+  await store.update('media', media => {
+    media.images.push(image);
+  });
+  return image;
+}
+
+// Set the alt text of each language given. Resolves to { image, previous } or null if unknown.
+function updateImageAlt(filename, alt) {
+  return store.update('media', media => {
+    const image = media.images.find(i => i.filename === filename);
+    if (!image) return null;
+    const previous = { ...image.alt };
+    Object.entries(alt).forEach(([lang, text]) => {
+      if (text) {
+        image.alt[lang] = text;
+      } else {
+        delete image.alt[lang];
+      }
+    });
+    return { image, previous };
+  });
+}
+
+// Move an image one place up or down. Resolves to { image, from, to }, null if unknown, false if it cannot move.
+function moveImage(filename, direction) {
+  return store.update('media', media => {
+    const index = media.images.findIndex(i => i.filename === filename);
+    if (index === -1) return null;
+    const newIndex = direction === 'up' ? index - 1 : direction === 'down' ? index + 1 : -1;
+    if (newIndex < 0 || newIndex >= media.images.length) return false;
+    const [image] = media.images.splice(index, 1);
+    media.images.splice(newIndex, 0, image);
+    return { image, from: index + 1, to: newIndex + 1 };
+  });
+}
+
+// Remove an image from the gallery and delete its file. Resolves to the removed image or null.
+async function deleteImage(filename) {
+  const removed = await store.update('media', media => {
+    const index = media.images.findIndex(i => i.filename === filename);
+    return index === -1 ? null : media.images.splice(index, 1)[0];
+  });
+  if (removed) deleteImageFile(removed.filename, GALLERY_DIR);
+  return removed;
+}
+
+// Gallery of the public page, alt texts in lang (or the default language)
+function describeGallery(lang, defaultLang) {
+  return listImages().map(image => ({
+    url: `/data/images/gallery/${encodeURIComponent(image.filename)}`,
+    alt: image.alt[lang] || image.alt[defaultLang] || ''
+  }));
+}
+
+module.exports = {
+  GALLERY_DIR,
+  profileUpload,
+  galleryUpload,
+  profilePhotoPath,
+  setProfilePhoto,
+  listImages,
+  addImage,
+  updateImageAlt,
+  moveImage,
+  deleteImage,
+  describeGallery
+};
@@ -0,0 +1,149 @@
+/**
+ * Quote estimator settings and server-side estimates
+ * The rate table combines the prices of the active services with the discounts
+ * and rush fee kept in data/services.json (`quote`). The calculation itself is
+ * public/js/quote.js, shared with the contact form.
+ */
+
+const store = require('./store');
+const { estimate, formatAmount } = require('../public/js/quote');
+
+const MAX_SONGS = 100;
+const MAX_RULES = 20;
+
+// Settings of a catalog saved before the estimator existed
+function defaultSettings() {
+  return { volume: [], bundles: [], rushPercent: 0 };
+}
+
+function quoteSettings() {
+  return store.read('services').quote || defaultSettings();
+}
+
+/**
+ * Rate table for Quote.estimate(): active services with their prices (named in lang,
+ * default language as fallback) and the bundles whose services are all still offered
+ */
+function quoteRates(lang, defaultLang) {
+  const { currency, services } = store.read('services');
+  const settings = quoteSettings();
+  const active = services.filter(service => service.active);
+  const ids = active.map(service => service.id);
+  return {
+    currency,
+    services: active.map(service => ({
+      id: service.id,
+      name: service.name[lang] || service.name[defaultLang] || service.id,
+      pricing: service.pricing,
+      price: service.price
+    })),
+    volume: settings.volume,
+    bundles: settings.bundles.filter(bundle => bundle.services.every(id => ids.includes(id))),
+    rushPercent: settings.rushPercent
+  };
+}
+
+// Estimate for a contact form request ({ songs, services, rush }), null when nothing has a price
+function estimateQuote(request, lang, defaultLang) {
+  return estimate(quoteRates(lang, defaultLang), request);
+}
+
+/**
+ * Plain text lines of an estimate for the notification email, e.g.
+ * ["Mixing x 4: €600", "Bundle discount (10%): -€60", "Estimated total: €540"]
+ */
+function describeEstimate(result, songs, names) {
+  const amount = value => formatAmount(value, result.currency, 'en');
+  const lines = result.items.map(item => {
+    const name = names[item.id] || item.id;
+    return `${item.pricing === 'flat' ? name : `${name} x ${songs}`}: ${amount(item.amount)}`;
+  });
+  result.discounts.forEach(discount => {
+    lines.push(`${discount.type === 'volume' ? 'Multi-song' : 'Bundle'} discount (${discount.percent}%): -${amount(discount.amount)}`);
+  });
+  if (result.rushFee > 0) lines.push(`Rush fee: +${amount(result.rushFee)}`);
+  lines.push(`Estimated total: ${amount(result.total)}`);
+  if (result.unpriced.length > 0) lines.push(`Price on request: ${result.unpriced.map(id => names[id] || id).join(', ')}`);
+  return lines;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Repeated form rows (volume[0], volume[1]...) as an array, whether qs made an array or an object
+function formRows(value) {
+  if (!Array.isArray(value) && !isPlainObject(value)) return [];
+  return Object.values(value).filter(isPlainObject);
+}
+
+function formNumber(value) {
+  const text = typeof value === 'string' ? value.trim().replace(',', '.') : '';
+  return text === '' ? null : Number(text);
+}
+
+function isPercent(value, max) {
+  return Number.isFinite(value) && value > 0 && value <= max;
+}
+
+/**
+ * Settings from the admin form (volume[i][minSongs|percent], bundles[i][services|percent],
+ * rushPercent). Rows left empty are dropped. Returns { fields } or { error }.
+ */
+function quoteFields(form, serviceIds) {
+  const volume = [];
+  for (const row of formRows(form.volume)) {
+    const minSongs = formNumber(row.minSongs);
+    const percent = formNumber(row.percent);
+    if (minSongs === null && percent === null) continue;
+    if (!Number.isInteger(minSongs) || minSongs < 2 || minSongs > MAX_SONGS) {
+      return { error: `Song counts of discounts must be whole numbers from 2 to ${MAX_SONGS}` };
+    }
+    if (!isPercent(percent, 100)) return { error: 'Discounts must be a percent above 0 and up to 100' };
+    volume.push({ minSongs, percent });
+  }
+
+  const bundles = [];
+  for (const row of formRows(form.bundles)) {
+    const services = [...new Set([].concat(row.services || []))].filter(id => serviceIds.includes(id));
+    const percent = formNumber(row.percent);
+    if (services.length === 0 && percent === null) continue;
+    if (services.length < 2) return { error: 'A bundle needs at least two services' };
+    if (!isPercent(percent, 100)) return { error: 'Discounts must be a percent above 0 and up to 100' };
+    bundles.push({ services, percent });
+  }
+
+  const rushPercent = formNumber(form.rushPercent) ?? 0;
+  if (rushPercent !== 0 && !isPercent(rushPercent, 200)) {
+    return { error: 'The rush fee must be a percent from 0 to 200' };
+  }
+
+  if (volume.length > MAX_RULES || bundles.length > MAX_RULES) return { error: `At most ${MAX_RULES} discounts of each kind` };
+  return {
+    fields: {
+      volume: volume.sort((a, b) => a.minSongs - b.minSongs),
+      bundles,
+      rushPercent
+    }
+  };
+}
+
+// Resolves to the previous settings
+function setQuoteSettings(settings) {
+  return store.update('services', data => {
+    const previous = data.quote || defaultSettings();
+    data.quote = settings;
+    return previous;
+  });
+}
+
+module.exports = {
+  MAX_SONGS,
+  defaultSettings,
+  quoteSettings,
+  quoteRates,
+  estimateQuote,
+  describeEstimate,
+  quoteFields,
+  setQuoteSettings
+};
@@ -0,0 +1,233 @@
+/**
+ * Client review projects
+ * A project groups the songs of one client, each song has numbered versions
+ * (v1, v2, ...) and each version collects comments pinned to a timestamp.
+ * Stored in data/reviews.json, audio files in data/reviews/.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+const REVIEWS_DIR = path.join(store.DATA_DIR, 'reviews');
+
+function newId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Apply fn to the project and save. Resolves with fn's result, or null if not found.
+function updateProject(projectId, fn) {
+  return store.update('reviews', data => {
+    const project = data.projects.find(p => p.id === projectId);
+    return project ? fn(project, data) : null;
+  });
+}
+
+function findVersion(project, versionId) {
+  for (const song of project.songs) {
+    const version = song.versions.find(v => v.id === versionId);
+    if (version) return { song, version };
+  }
+  return null;
+}
+
+function findComment(project, commentId) {
+  for (const song of project.songs) {
+    for (const version of song.versions) {
+      const comment = version.comments.find(c => c.id === commentId);
+      if (comment) return comment;
+    }
+  }
+  return null;
+}
+
+// Every audio/peaks file of a project or song
+function versionFiles(versions) {
+  return versions.flatMap(v => [v.filename, v.peaks]).filter(Boolean);
+}
+
+function deleteFiles(filenames) {
+  filenames.filter(Boolean).forEach(filename => {
+    const filepath = path.join(REVIEWS_DIR, filename);
+    if (fs.existsSync(filepath)) {
+      fs.unlinkSync(filepath);
+    }
+  });
+}
+
+function listProjects() {
+  return store.read('reviews').projects;
+}
+
+function getProject(projectId) {
+  return store.read('reviews').projects.find(p => p.id === projectId) || null;
+}
+
+function findProjectByToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const expected = Buffer.from(token);
+  return store.read('reviews').projects.find(p => {
+    const actual = Buffer.from(p.token);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }) || null;
+}
+
+function createProject({ client, title }) {
+  const project = {
+    id: newId(),
+    token: newToken(),
+    client,
+    title,
+    createdAt: new Date().toISOString(),
+    songs: []
+  };
+  return store.update('reviews', data => {
+    data.projects.push(project);
+    return project;
+  });
+}
+
+// Resolves to false if the project does not exist
+async function deleteProject(projectId) {
+  const project = await store.update('reviews', data => {
+    const index = data.projects.findIndex(p => p.id === projectId);
+    if (index === -1) return null;
+    return data.projects.splice(index, 1)[0];
+  });
+  if (!project) return false;
+  deleteFiles(project.songs.flatMap(song => versionFiles(song.versions)));
+  return true;
+}
+
+// New link for the client, the old one stops working
+function regenerateToken(projectId) {
+  return updateProject(projectId, project => {
+    project.token = newToken();
+    return project;
+  });
+}
+
+function addSong(projectId, title) {
+  return updateProject(projectId, project => {
+    const song = { id: newId(), title, versions: [] };
+    project.songs.push(song);
+    return song;
+  });
+}
+
+async function deleteSong(projectId, songId) {
+  let files = [];
+  const result = await updateProject(projectId, project => {
+    const index = project.songs.findIndex(s => s.id === songId);
+    if (index === -1) return null;
+    const [song] = project.songs.splice(index, 1);
+    files = versionFiles(song.versions);
+    return song;
+  });
+  deleteFiles(files);
+  return result;
+}
+
+// Versions are labelled v1, v2, ... in upload order
+function addVersion(projectId, songId, { filename, peaks, notes }) {
+  return updateProject(projectId, project => {
+    const song = project.songs.find(s => s.id === songId);
+    if (!song) return null;
+    const number = song.versions.reduce((max, v) => Math.max(max, v.number), 0) + 1;
+    const version = {
+      id: newId(),
+      number,
+      label: `v${number}`,
+      filename,
+      peaks: peaks || null,
+      notes: notes || '',
+      uploadedAt: new Date().toISOString(),
+      comments: []
+    };
+    song.versions.push(version);
+    return version;
+  });
+}
+
+async function deleteVersion(projectId, versionId) {
+  let files = [];
+  const result = await updateProject(projectId, project => {
+    const found = findVersion(project, versionId);
+    if (!found) return null;
+    found.song.versions.splice(found.song.versions.indexOf(found.version), 1);
+    files = versionFiles([found.version]);
+    return found.version;
+  });
+  deleteFiles(files);
+  return result;
+}
+
+// Comment from the client, pinned to a time (seconds) in a version
+function addComment(projectId, versionId, { name, text, time }) {
+  return updateProject(projectId, project => {
+    const found = findVersion(project, versionId);
+    if (!found) return null;
+    const comment = {
+      id: newId(),
+      time,
+      name,
+      text,
+      createdAt: new Date().toISOString(),
+      resolved: false,
+      replies: []
+    };
+    found.version.comments.push(comment);
+    found.version.comments.sort((a, b) => a.time - b.time);
+    return comment;
+  });
+}
+
+// Answer from the admin
+function replyToComment(projectId, commentId, text) {
+  return updateProject(projectId, project => {
+    const comment = findComment(project, commentId);
+    if (!comment) return null;
+    comment.replies.push({ text, createdAt: new Date().toISOString() });
+    return comment;
+  });
+}
+
+function setCommentResolved(projectId, commentId, resolved) {
+  return updateProject(projectId, project => {
+    const comment = findComment(project, commentId);
+    if (!comment) return null;
+    comment.resolved = resolved;
+    return comment;
+  });
+}
+
+// Unresolved comments across a project (shown in the admin list)
+function countOpenComments(project) {
+  return project.songs.reduce((total, song) =>
+    total + song.versions.reduce((sum, v) => sum + v.comments.filter(c => !c.resolved).length, 0), 0);
+}
+
+module.exports = {
+  REVIEWS_DIR,
+  listProjects,
+  getProject,
+  findProjectByToken,
+  findVersion,
+  createProject,
+  deleteProject,
+  regenerateToken,
+  addSong,
+  deleteSong,
+  addVersion,
+  deleteVersion,
+  addComment,
+  replyToComment,
+  setCommentResolved,
+  countOpenComments,
+  deleteFiles
+};
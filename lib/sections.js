@@ -0,0 +1,250 @@
+/**
+ * Page sections: typed content blocks edited from the admin (data/sections.json)
+ * Each section has a type, a title and its content in every site language, a
+ * place on the page (after About or after My Work) and can be hidden. Texts
+ * missing in a language fall back to the default language when rendered.
+ */
+
+const crypto = require('crypto');
+const escapeHtml = require('escape-html');
+const store = require('./store');
+const { toLink } = require('./work');
+
+const SECTION_TYPES = {
+  text: 'Rich text',
+  testimonials: 'Testimonials',
+  gear: 'Gear list',
+  faq: 'FAQ',
+  videos: 'Video links'
+};
+
+// Where a section is shown on the public page
+const PLACEMENTS = {
+  about: 'After About',
+  work: 'After My Work'
+};
+
+// Item fields per list type: localized ones hold a text per language, multiline
+// ones are edited in a textarea. Items without their required field are dropped.
+const ITEM_FIELDS = {
+  testimonials: [
+    { name: 'quote', label: 'Quote', localized: true, multiline: true, required: true },
+    { name: 'band', label: 'Band' },
+    { name: 'name', label: 'Person' }
+  ],
+  gear: [
+    { name: 'name', label: 'Item', required: true },
+    { name: 'details', label: 'Details', localized: true }
+  ],
+  faq: [
+    { name: 'question', label: 'Question', localized: true, required: true },
+    { name: 'answer', label: 'Answer', localized: true, multiline: true }
+  ],
+  videos: [
+    { name: 'url', label: 'Video URL', required: true },
+    { name: 'title', label: 'Title', localized: true }
+  ]
+};
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_ITEMS = 50;
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Repeated form fields (items[0], items[1]...) arrive as an array, or as an object past 20 entries
+function formList(value) {
+  if (Array.isArray(value)) return value;
+  if (!isPlainObject(value)) return [];
+  return Object.keys(value).sort((a, b) => a - b).map(key => value[key]);
+}
+
+function formText(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+// { en: ' Hi ', xx: 'ignored' } -> { en: 'Hi' }, only non-empty texts of the site languages
+function formLocalized(value, codes) {
+  const texts = {};
+  codes.forEach(code => {
+    const text = formText(value?.[code]);
+    if (text) texts[code] = text;
+  });
+  return texts;
+}
+
+function formItem(type, value, codes) {
+  if (!isPlainObject(value) || value.remove) return null;
+  const item = {};
+  ITEM_FIELDS[type].forEach(field => {
+    item[field.name] = field.localized ? formLocalized(value[field.name], codes) : formText(value[field.name]);
+  });
+
+  if (type === 'videos' && item.url) {
+    const link = toLink(item.url);
+    item.url = link ? link.url : '';
+  }
+  const required = ITEM_FIELDS[type].find(field => field.required);
+  const present = required.localized ? Object.keys(item[required.name]).length > 0 : item[required.name];
+  return present ? item : null;
+}
+
+/**
+ * Section fields from the admin edit form (title[lang], body[lang], items[i][field]...),
+ * keeping only the languages in codes
+ */
+function sectionFields(type, form, codes) {
+  const fields = {
+    title: formLocalized(form.title, codes),
+    placement: PLACEMENTS[form.placement] ? form.placement : 'work'
+  };
+  if (type === 'text') {
+    fields.body = formLocalized(form.body, codes);
+  } else {
+    fields.items = formList(form.items).map(item => formItem(type, item, codes)).filter(Boolean).slice(0, MAX_ITEMS);
+  }
+  return fields;
+}
+
+function listSections() {
+  return store.read('sections').sections;
+}
+
+function getSection(id) {
+  return listSections().find(s => s.id === id) || null;
+}
+
+// New empty section at the end of the list, hidden until its content is written
+async function createSection(type, title, placement) {
+  const section = {
+    id: crypto.randomBytes(6).toString('hex'),
+    type,
+    title,
+    placement: PLACEMENTS[placement] ? placement : 'work',
+    hidden: true
+  };
+  if (type === 'text') {
+    section.body = {};
+  } else {
+    section.items = [];
+  }
+  await store.update('sections', data => {
+    data.sections.push(section);
+  });
+  return section;
+}
+
+// Resolves to { section, previous } or null if unknown
+function updateSection(id, fields) {
+  return store.update('sections', data => {
+    const section = data.sections.find(s => s.id === id);
+    if (!section) return null;
+    const previous = { ...section };
+    Object.assign(section, fields);
+    return { section, previous };
+  });
+}
+
+// Resolves to { section, from, to }, null if unknown, false if it cannot move further
+function moveSection(id, direction) {
+  return store.update('sections', data => {
+    const index = data.sections.findIndex(s => s.id === id);
+    if (index === -1) return null;
+    const newIndex = direction === 'up' ? index - 1 : direction === 'down' ? index + 1 : -1;
+    if (newIndex < 0 || newIndex >= data.sections.length) return false;
+    const [section] = data.sections.splice(index, 1);
+    data.sections.splice(newIndex, 0, section);
+    return { section, from: index + 1, to: newIndex + 1 };
+  });
+}
+
+// Resolves to the removed section or null
+function deleteSection(id) {
+  return store.update('sections', data => {
+    const index = data.sections.findIndex(s => s.id === id);
+    return index === -1 ? null : data.sections.splice(index, 1)[0];
+  });
+}
+
+// Name used in the admin and the activity log
+function sectionLabel(section, lang) {
+  return section.title[lang] || Object.values(section.title)[0] || SECTION_TYPES[section.type];
+}
+
+const LINK = /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/;
+
+function emphasis(html) {
+  return html
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>');
+}
+
+// Links are cut out first, so a * in a URL never becomes emphasis (the label can have some)
+function inlineText(text) {
+  // [text, label, url, text, label, url, ..., text]
+  const parts = escapeHtml(text).split(LINK);
+  return parts.map((part, index) => {
+    if (index % 3 === 0) return emphasis(part);
+    if (index % 3 === 2) return '';
+    return `<a href="${parts[index + 1]}" target="_blank" rel="noopener noreferrer">${emphasis(part)}</a>`;
+  }).join('');
+}
+
+/**
+ * Rich text to HTML: blank lines separate paragraphs, lines starting with "- " make a list,
+ * **bold**, *italic* and [label](https://...) links. Everything else is escaped.
+ */
+function renderRichText(text) {
+  return (text || '').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).map(block => {
+    const lines = block.split('\n').map(line => line.trim());
+    if (lines.every(line => line.startsWith('- '))) {
+      return `<ul>${lines.map(line => `<li>${inlineText(line.slice(2))}</li>`).join('')}</ul>`;
+    }
+    return `<p>${lines.map(inlineText).join('<br>')}</p>`;
+  }).join('\n');
+}
+
+function pick(texts, lang, defaultLang) {
+  return texts?.[lang] || texts?.[defaultLang] || '';
+}
+
+/**
+ * Visible sections for the public page in lang, grouped by placement:
+ * { about: [...], work: [...] }, each with its texts resolved and rich text rendered
+ */
+function describeSections(lang, defaultLang) {
+  const groups = Object.fromEntries(Object.keys(PLACEMENTS).map(placement => [placement, []]));
+  listSections().filter(section => !section.hidden).forEach(section => {
+    const described = { id: section.id, type: section.type, title: pick(section.title, lang, defaultLang) };
+    if (section.type === 'text') {
+      described.html = renderRichText(pick(section.body, lang, defaultLang));
+    } else {
+      const localized = ITEM_FIELDS[section.type].filter(field => field.localized);
+      described.items = section.items.map(item => {
+        const result = { ...item };
+        localized.forEach(field => { result[field.name] = pick(item[field.name], lang, defaultLang); });
+        return result;
+      });
+      if (section.type === 'faq') described.items.forEach(item => { item.answer = renderRichText(item.answer); });
+    }
+    (groups[section.placement] || groups.work).push(described);
+  });
+  return groups;
+}
+
+module.exports = {
+  SECTION_TYPES,
+  PLACEMENTS,
+  ITEM_FIELDS,
+  sectionFields,
+  listSections,
+  getSection,
+  createSection,
+  updateSection,
+  moveSection,
+  deleteSection,
+  sectionLabel,
+  renderRichText,
+  describeSections
+};
@@ -0,0 +1,122 @@
+/**
+ * SEO helpers: absolute URLs, head tags and JSON-LD structured data
+ * Set SITE_URL (e.g. https://hellajay.com) in production so canonical links,
+ * the sitemap and social previews do not depend on the request Host header.
+ */
+
+const { profilePhotoPath } = require('./media');
+
+const SITE_NAME = 'Hellajay';
+
+function siteUrl(req) {
+  return (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// 204.5 -> "PT3M24S"
+function isoDuration(seconds) {
+  const total = Math.round(seconds);
+  const minutes = Math.floor(total / 60);
+  return `PT${minutes ? `${minutes}M` : ''}${total % 60}S`;
+}
+
+// og:locale uses underscores ("pt_BR")
+function ogLocale(code) {
+  return code.replace('-', '_');
+}
+
+// Safe to embed in a <script> element
+function jsonForScript(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// Localized string, or the fallback when no locale defines the key
+function translated(t, key, lang, fallback) {
+  const value = t(key, lang);
+  return value && value !== key ? value : fallback;
+}
+
+/**
+ * Person (with the services offered, see describeServices()), website and portfolio tracks as a schema.org graph.
+ * `tracks` are describeTrack() results with URLs relative to the site.
+ */
+function structuredData({ base, pageUrl, lang, description, image, services, tracks }) {
+  const personId = `${base}/#person`;
+
+  const person = {
+    '@type': 'Person',
+    '@id': personId,
+    name: SITE_NAME,
+    url: pageUrl,
+    image,
+    description,
+    makesOffer: services.map(service => {
+      const offer = {
+        '@type': 'Offer',
+        itemOffered: { '@type': 'Service', name: service.name, provider: { '@id': personId } }
+      };
+      if (service.description) offer.itemOffered.description = service.description;
+      if (service.price !== null) Object.assign(offer, { price: service.price, priceCurrency: service.currency });
+      return offer;
+    })
+  };
+
+  const recordings = tracks.map(track => {
+    const recording = {
+      '@type': 'MusicRecording',
+      name: track.title,
+      url: `${pageUrl}#work`,
+      audio: { '@type': 'AudioObject', contentUrl: `${base}${track.url}` },
+      contributor: { '@id': personId }
+    };
+    if (track.description) recording.description = track.description;
+    if (track.client) recording.byArtist = { '@type': 'MusicGroup', name: track.client };
+    if (track.genre) recording.genre = track.genre;
+    if (track.year) recording.datePublished = String(track.year);
+    if (track.duration) recording.duration = isoDuration(track.duration);
+    if (track.cover) recording.image = `${base}${track.cover}`;
+    return recording;
+  });
+
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebSite', '@id': `${base}/#website`, url: `${base}/`, name: SITE_NAME, inLanguage: lang, publisher: { '@id': personId } },
+      person,
+      ...recordings
+    ]
+  };
+}
+
+/**
+ * Everything views/partials/seo.ejs needs for one language of the home page
+ */
+function pageSeo({ req, lang, languages, t, services, tracks }) {
+  const base = siteUrl(req);
+  const pageUrl = `${base}/${lang}`;
+  const title = translated(t, 'meta.title', lang, SITE_NAME);
+  const description = translated(t, 'meta.description', lang, '');
+  const image = `${base}${profilePhotoPath()}`;
+
+  return {
+    siteName: SITE_NAME,
+    title,
+    description,
+    canonical: pageUrl,
+    alternates: languages.map(({ code }) => ({ lang: code, url: `${base}/${code}` })),
+    xDefault: `${base}/`,
+    image,
+    locale: ogLocale(lang),
+    alternateLocales: languages.filter(({ code }) => code !== lang).map(({ code }) => ogLocale(code)),
+    jsonLd: jsonForScript(structuredData({
+      base,
+      pageUrl,
+      lang,
+      description,
+      image,
+      services,
+      tracks
+    }))
+  };
+}
+
+module.exports = { SITE_NAME, siteUrl, pageSeo, jsonForScript };
@@ -0,0 +1,235 @@
+/**
+ * Services catalog (data/services.json)
+ * Each service has a stable id (stored in inquiries and track roles), a name and
+ * description per language, a price per song or a flat price, and an active
+ * flag: only active services are listed on the site and accepted by the contact
+ * form. Inactive ones keep their name for old inquiries and tracks.
+ */
+
+const store = require('./store');
+const languages = require('./languages');
+const { formatAmount } = require('../public/js/quote');
+const { defaultSettings } = require('./quote');
+
+// Services of the contact form before the catalog existed
+const DEFAULT_SERVICES = [
+  { id: 'editing', name: { en: 'Editing', fr: 'Editing' } },
+  { id: 'mixing', name: { en: 'Mixing', fr: 'Mixage' } },
+  { id: 'mastering', name: { en: 'Mastering', fr: 'Mastering' } },
+  { id: 'production', name: { en: 'Production', fr: 'Production' } },
+  { id: 'midiDrums', name: { en: 'MIDI Drums', fr: 'Batterie MIDI' } }
+];
+
+const PRICINGS = {
+  perSong: 'Per song',
+  flat: 'Flat price'
+};
+
+// ISO 4217 code, prices are shown with the formatting of each site language
+const DEFAULT_CURRENCY = 'EUR';
+
+const MAX_TEXT_LENGTH = 1000;
+
+// Paths of routes/admin-services.js that an id must not take
+const RESERVED_IDS = ['currency', 'quote'];
+
+/**
+ * Catalog of an install without data/services.json: the default services, named
+ * from their contact.services.* translations when the locale files still have them
+ */
+function defaultCatalog() {
+  const codes = languages.languageCodes();
+  const services = DEFAULT_SERVICES.map(({ id, name }) => {
+    const names = { ...name };
+    codes.forEach(code => {
+      const translated = store.exists(`locales/${code}`) && store.read(`locales/${code}`).contact?.services?.[id];
+      if (typeof translated === 'string' && translated) names[code] = translated;
+    });
+    return { id, name: names, description: {}, pricing: 'perSong', price: null, active: true };
+  });
+  return { currency: DEFAULT_CURRENCY, services, quote: defaultSettings() };
+}
+
+function listServices() {
+  return store.read('services').services;
+}
+
+function getCurrency() {
+  return store.read('services').currency;
+}
+
+function getService(id) {
+  return listServices().find(service => service.id === id) || null;
+}
+
+function activeServices() {
+  return listServices().filter(service => service.active);
+}
+
+// Every known id, active or not (track roles, inquiry filters)
+function serviceIds() {
+  return listServices().map(service => service.id);
+}
+
+function pick(texts, lang, defaultLang) {
+  return texts?.[lang] || texts?.[defaultLang] || '';
+}
+
+// { id: name } in lang (default language as fallback), for every service
+function serviceNames(lang) {
+  const defaultLang = languages.loadLanguages().default;
+  return Object.fromEntries(listServices().map(service => [service.id, pick(service.name, lang, defaultLang) || service.id]));
+}
+
+// Name used in the admin and the activity log
+function serviceLabel(service, lang) {
+  return service.name[lang] || Object.values(service.name)[0] || service.id;
+}
+
+// "150 €" / "€150" depending on the language, null when the price is not set
+function formatPrice(price, currency, lang) {
+  return typeof price === 'number' ? formatAmount(price, currency, lang) : null;
+}
+
+/**
+ * Active services for the public page in lang: { id, name, description, pricing, price, currency, priceText }
+ */
+function describeServices(lang, defaultLang) {
+  const { currency, services } = store.read('services');
+  return services.filter(service => service.active).map(service => ({
+    id: service.id,
+    name: pick(service.name, lang, defaultLang) || service.id,
+    description: pick(service.description, lang, defaultLang),
+    pricing: service.pricing,
+    price: service.price,
+    currency,
+    priceText: formatPrice(service.price, currency, lang)
+  }));
+}
+
+function formText(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function formLocalized(value, codes) {
+  const texts = {};
+  codes.forEach(code => {
+    const text = formText(value?.[code]);
+    if (text) texts[code] = text;
+  });
+  return texts;
+}
+
+/**
+ * Service fields from the admin form (name[lang], description[lang], pricing, price, active).
+ * Returns { fields } or { error }.
+ */
+function serviceFields(form, codes) {
+  const name = formLocalized(form.name, codes);
+  if (Object.keys(name).length === 0) return { error: 'A service needs a name' };
+
+  const priceText = formText(form.price).replace(',', '.');
+  const price = priceText === '' ? null : Number(priceText);
+  if (price !== null && (!Number.isFinite(price) || price < 0 || price > 1000000)) {
+    return { error: 'Invalid price' };
+  }
+  return {
+    fields: {
+      name,
+      description: formLocalized(form.description, codes),
+      pricing: PRICINGS[form.pricing] ? form.pricing : 'perSong',
+      price: price === null ? null : Math.round(price * 100) / 100,
+      active: form.active === 'on' || form.active === 'true'
+    }
+  };
+}
+
+// "Drum recording" -> "drum-recording" (made unique by the caller)
+function slugify(text) {
+  const slug = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+  return /^[a-z]/.test(slug) ? slug : `service-${slug}`.replace(/-$/, '');
+}
+
+/**
+ * Add a service at the end of the catalog, its id made from its name in defaultLang.
+ * `fields` come from serviceFields().
+ */
+function createService(fields, defaultLang) {
+  return store.update('services', data => {
+    const base = slugify(fields.name[defaultLang] || Object.values(fields.name)[0]);
+    let id = base;
+    for (let i = 2; data.services.some(s => s.id === id) || RESERVED_IDS.includes(id); i++) id = `${base}-${i}`;
+    const service = { id, ...fields };
+    data.services.push(service);
+    return service;
+  });
+}
+
+// Resolves to { service, previous } or null if unknown
+function updateService(id, fields) {
+  return store.update('services', data => {
+    const service = data.services.find(s => s.id === id);
+    if (!service) return null;
+    const previous = { ...service };
+    Object.assign(service, fields);
+    return { service, previous };
+  });
+}
+
+// Resolves to { service, from, to }, null if unknown, false if it cannot move further
+function moveService(id, direction) {
+  return store.update('services', data => {
+    const index = data.services.findIndex(s => s.id === id);
+    if (index === -1) return null;
+    const newIndex = direction === 'up' ? index - 1 : direction === 'down' ? index + 1 : -1;
+    if (newIndex < 0 || newIndex >= data.services.length) return false;
+    const [service] = data.services.splice(index, 1);
+    data.services.splice(newIndex, 0, service);
+    return { service, from: index + 1, to: newIndex + 1 };
+  });
+}
+
+// Resolves to the removed service or null
+function deleteService(id) {
+  return store.update('services', data => {
+    const index = data.services.findIndex(s => s.id === id);
+    return index === -1 ? null : data.services.splice(index, 1)[0];
+  });
+}
+
+// Resolves to the previous currency, or null when unchanged
+function setCurrency(currency) {
+  return store.update('services', data => {
+    if (data.currency === currency) return null;
+    const previous = data.currency;
+    data.currency = currency;
+    return previous;
+  });
+}
+
+// ISO 4217 codes known to Intl, which formats the prices
+function isValidCurrency(code) {
+  return Intl.supportedValuesOf('currency').includes(code);
+}
+
+module.exports = {
+  PRICINGS,
+  defaultCatalog,
+  listServices,
+  getService,
+  getCurrency,
+  activeServices,
+  serviceIds,
+  serviceNames,
+  serviceLabel,
+  formatPrice,
+  describeServices,
+  serviceFields,
+  createService,
+  updateService,
+  moveService,
+  deleteService,
+  setCurrency,
+  isValidCurrency
+};
@@ -0,0 +1,139 @@
+/**
+ * Admin login sessions
+ * The browser only holds a signed, HttpOnly cookie with the session id. Sessions
+ * live in data/sessions.json so logging out (or a timeout) ends them server side.
+ * Each session carries its own CSRF token, checked on every state-changing request.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const { sign, verify } = require('./signing');
+
+const COOKIE_NAME = 'hellajay_admin';
+const COOKIE_PURPOSE = 'admin-session';
+
+// Logged out after 30 minutes without activity, and 12 hours after login in any case
+const IDLE_TIMEOUT = 30 * 60 * 1000;
+const ABSOLUTE_TIMEOUT = 12 * 60 * 60 * 1000;
+// Activity is saved at most once a minute, not on every request
+const TOUCH_INTERVAL = 60 * 1000;
+
+function isActive(session, now = Date.now()) {
+  return now - new Date(session.createdAt).getTime() < ABSOLUTE_TIMEOUT &&
+    now - new Date(session.lastSeenAt).getTime() < IDLE_TIMEOUT;
+}
+
+// Cookie header -> { name: value }
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (!name || cookies[name] !== undefined) return;
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+function cookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/admin'
+  };
+}
+
+function createSession(user) {
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomBytes(32).toString('base64url'),
+    user,
+    csrf: crypto.randomBytes(32).toString('base64url'),
+    createdAt: now,
+    lastSeenAt: now
+  };
+  return store.update('sessions', data => {
+    // Expired sessions are dropped whenever someone logs in
+    data.sessions = data.sessions.filter(s => isActive(s));
+    data.sessions.push(session);
+    return session;
+  });
+}
+
+/**
+ * Active session of the request, or null (no cookie, bad signature, logged out or expired)
+ */
+function findSession(req) {
+  const payload = verify(COOKIE_PURPOSE, parseCookies(req.headers.cookie)[COOKIE_NAME]);
+  if (!payload || typeof payload.id !== 'string') return null;
+  const session = store.read('sessions').sessions.find(s => s.id === payload.id);
+  return session && isActive(session) ? session : null;
+}
+
+// Record activity (resets the idle timeout)
+async function touchSession(session) {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < TOUCH_INTERVAL) return;
+  const lastSeenAt = new Date().toISOString();
+  await store.update('sessions', data => {
+    const stored = data.sessions.find(s => s.id === session.id);
+    if (!stored) return null;
+    stored.lastSeenAt = lastSeenAt;
+    return stored;
+  });
+  session.lastSeenAt = lastSeenAt;
+}
+
+function destroySession(id) {
+  return store.update('sessions', data => {
+    const remaining = data.sessions.filter(s => s.id !== id);
+    if (remaining.length === data.sessions.length) return null;
+    data.sessions = remaining;
+    return remaining;
+  });
+}
+
+// Log a user out everywhere (account disabled or password reset)
+function destroyUserSessions(user) {
+  return store.update('sessions', data => {
+    const remaining = data.sessions.filter(s => s.user !== user);
+    if (remaining.length === data.sessions.length) return null;
+    data.sessions = remaining;
+    return remaining;
+  });
+}
+
+function setSessionCookie(req, res, session) {
+  res.cookie(COOKIE_NAME, sign(COOKIE_PURPOSE, { id: session.id }), { ...cookieOptions(req), maxAge: ABSOLUTE_TIMEOUT });
+}
+
+function clearSessionCookie(req, res) {
+  res.clearCookie(COOKIE_NAME, cookieOptions(req));
+}
+
+// Timing-safe comparison of a submitted CSRF token with the session's
+function checkCsrf(session, token) {
+  if (typeof token !== 'string') return false;
+  const expected = Buffer.from(session.csrf);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  IDLE_TIMEOUT,
+  ABSOLUTE_TIMEOUT,
+  createSession,
+  findSession,
+  touchSession,
+  destroySession,
+  destroyUserSessions,
+  setSessionCookie,
+  clearSessionCookie,
+  checkCsrf
+};
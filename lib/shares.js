@@ -0,0 +1,76 @@
+/**
+ * Share links for private tracks
+ * Links carry an HMAC-signed token (share id + expiry). The share must also still
+ * exist in data/shares.json, so deleting it revokes the link before it expires.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const { sign, verify } = require('./signing');
+
+const TOKEN_PURPOSE = 'share';
+
+function isActive(share) {
+  return new Date(share.expiresAt).getTime() > Date.now();
+}
+
+function tokenFor(share) {
+  return sign(TOKEN_PURPOSE, { id: share.id, exp: new Date(share.expiresAt).getTime() });
+}
+
+function createShare(filename, expiresAt, label) {
+  const share = {
+    id: crypto.randomUUID(),
+    filename,
+    label: label || '',
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt.toISOString()
+  };
+  return store.update('shares', data => {
+    // Expired links are dropped whenever a new one is created
+    data.shares = data.shares.filter(isActive);
+    data.shares.push(share);
+    return share;
+  });
+}
+
+// Resolves to false if the link does not exist
+async function revokeShare(id) {
+  const removed = await store.update('shares', data => {
+    const index = data.shares.findIndex(s => s.id === id);
+    if (index === -1) return null;
+    return data.shares.splice(index, 1)[0];
+  });
+  return Boolean(removed);
+}
+
+// Revoke every link of a track (track deleted or made public)
+function revokeSharesFor(filename) {
+  return store.update('shares', data => {
+    const remaining = data.shares.filter(s => s.filename !== filename);
+    if (remaining.length === data.shares.length) return null;
+    data.shares = remaining;
+    return remaining;
+  });
+}
+
+// Active links grouped by track filename
+function activeSharesByTrack() {
+  const byTrack = {};
+  store.read('shares').shares.filter(isActive).forEach(share => {
+    (byTrack[share.filename] = byTrack[share.filename] || []).push({ ...share, token: tokenFor(share) });
+  });
+  return byTrack;
+}
+
+// Resolve a token to its share, or null if invalid, expired or revoked
+function resolveShare(token) {
+  const payload = verify(TOKEN_PURPOSE, token);
+  if (!payload || typeof payload.exp !== 'number' || payload.exp <= Date.now()) return null;
+
+  const share = store.read('shares').shares.find(s => s.id === payload.id);
+  if (!share || !isActive(share)) return null;
+  return share;
+}
+
+module.exports = { createShare, revokeShare, revokeSharesFor, activeSharesByTrack, resolveShare };
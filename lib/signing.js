@@ -0,0 +1,58 @@
+/**
+ * HMAC signing for tokens handed out to visitors (share links, ...)
+ * The key comes from SECRET_KEY, or is generated once and kept in data/secret.key
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SECRET_PATH = path.join(__dirname, '..', 'data', 'secret.key');
+
+let secret = null;
+
+function getSecret() {
+  if (secret) return secret;
+
+  if (process.env.SECRET_KEY) {
+    secret = process.env.SECRET_KEY;
+  } else if (fs.existsSync(SECRET_PATH)) {
+    secret = fs.readFileSync(SECRET_PATH, 'utf8').trim();
+  } else {
+    secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(SECRET_PATH, secret, { mode: 0o600 });
+  }
+  return secret;
+}
+
+// The purpose is part of the MAC so a token signed for one use is rejected by another
+function hmac(purpose, data) {
+  return crypto.createHmac('sha256', getSecret()).update(`${purpose}:${data}`).digest('base64url');
+}
+
+// Sign a JSON payload: "<base64url payload>.<base64url mac>"
+function sign(purpose, payload) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${hmac(purpose, data)}`;
+}
+
+// Returns the payload, or null if the token is malformed or the signature is wrong
+function verify(purpose, token) {
+  if (typeof token !== 'string') return null;
+  const [data, mac] = token.split('.');
+  if (!data || !mac) return null;
+
+  const expected = Buffer.from(hmac(purpose, data));
+  const actual = Buffer.from(mac);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { sign, verify };
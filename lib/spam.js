@@ -0,0 +1,79 @@
+/**
+ * Contact form spam checks, all local (no CAPTCHA or third-party service)
+ * - a honeypot field hidden from people, that bots fill in
+ * - a signed timestamp rendered with the form: sent too fast, too late or
+ *   without a valid token means it was not typed in the page
+ * - link count and keyword heuristics on the texts
+ * - a per-email throttle on top of the per-IP rate limit (quarantined messages not counted)
+ * Suspected spam is stored in quarantine (see lib/inquiries.js) instead of being emailed.
+ */
+
+const { sign, verify } = require('./signing');
+const { countRecentInquiries } = require('./inquiries');
+
+const HONEYPOT_FIELD = 'website';
+const TOKEN_PURPOSE = 'contact-form';
+
+// Nobody fills in the form faster than this
+const MIN_FILL_SECONDS = 3;
+// Forms left open longer than this are reloaded by people
+const MAX_FORM_AGE_HOURS = 24;
+const MAX_LINKS = 3;
+// Messages accepted per email address in the throttle window. Quarantined ones do not
+// count: spam sent with someone else's address must not lock them out
+const EMAIL_LIMIT = 3;
+const EMAIL_WINDOW_HOURS = 24;
+
+// Matched as whole words, case-insensitive
+const SPAM_KEYWORDS = [
+  'viagra', 'cialis', 'casino', 'betting', 'forex', 'bitcoin', 'crypto', 'loan', 'escort', 'porn',
+  'backlinks', 'seo services', 'rank your website', 'buy followers', 'investment opportunity', 'click here'
+];
+const KEYWORD_PATTERN = new RegExp(`\\b(${SPAM_KEYWORDS.map(word => word.replace(/ /g, '\\s+')).join('|')})\\b`, 'gi');
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\./gi;
+
+// Token for the hidden formToken field, rendered with the page
+function formToken() {
+  return sign(TOKEN_PURPOSE, { at: Date.now() });
+}
+
+function text(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Why a submission looks like spam, as a list of reasons shown in the admin
+ * (empty when it looks fine)
+ */
+function spamReasons(form, now = Date.now()) {
+  const reasons = [];
+  if (text(form[HONEYPOT_FIELD]).trim()) reasons.push('Hidden field filled in');
+
+  const token = verify(TOKEN_PURPOSE, form.formToken);
+  if (!token || typeof token.at !== 'number') {
+    reasons.push('Missing or invalid form token');
+  } else if (now - token.at < MIN_FILL_SECONDS * 1000) {
+    reasons.push(`Sent ${Math.max(0, Math.round((now - token.at) / 1000))}s after the form was shown`);
+  } else if (now - token.at > MAX_FORM_AGE_HOURS * 60 * 60 * 1000) {
+    reasons.push(`Form shown more than ${MAX_FORM_AGE_HOURS} hours before`);
+  }
+
+  // The form only sends text: anything else did not come from it
+  const odd = ['message', 'bandName'].filter(field => form[field] !== undefined && typeof form[field] !== 'string');
+  if (odd.length > 0) reasons.push(`Unexpected value for ${odd.join(', ')}`);
+
+  const texts = [text(form.message), text(form.bandName)].join('\n');
+  const links = (texts.match(LINK_PATTERN) || []).length;
+  if (links > MAX_LINKS) reasons.push(`${links} links in the message`);
+
+  const keywords = [...new Set((texts.match(KEYWORD_PATTERN) || []).map(word => word.toLowerCase().replace(/\s+/g, ' ')))];
+  if (keywords.length > 0) reasons.push(`Spam words: ${keywords.join(', ')}`);
+  return reasons;
+}
+
+// True when this address already sent EMAIL_LIMIT messages in the window
+function isEmailThrottled(email, now = Date.now()) {
+  return countRecentInquiries(email, now - EMAIL_WINDOW_HOURS * 60 * 60 * 1000) >= EMAIL_LIMIT;
+}
+
+module.exports = { HONEYPOT_FIELD, formToken, spamReasons, isEmailThrottled };
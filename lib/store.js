@@ -0,0 +1,405 @@
+/**
+ * Data store - the only module that reads and writes the JSON files in data/
+ * Reads are checked against a schema and fail loudly: a truncated or corrupted
+ * file raises a StoreError instead of looking like an empty site.
+ * Writes replace the file atomically (temp file + fsync + rename) and are queued
+ * per file, so a crash mid-write keeps the previous version and two concurrent
+ * admin actions cannot overwrite each other's changes.
+ * Content documents (bio, tracks, locales, sections, services) also keep timestamped revisions in
+ * data/history/ so any earlier version can be restored from the admin.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+// Revisions kept per document, oldest are pruned
+const HISTORY_LIMIT = 50;
+
+class StoreError extends Error {
+  constructor(message, file) {
+    super(message);
+    this.name = 'StoreError';
+    this.file = file;
+  }
+}
+
+// Schema helpers: each returns a problem description, or null when valid
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function objectOf(check) {
+  return value => {
+    if (!isPlainObject(value)) return 'expected an object';
+    for (const [key, item] of Object.entries(value)) {
+      const problem = check(item);
+      if (problem) return `"${key}": ${problem}`;
+    }
+    return null;
+  };
+}
+
+function listOf(key, check) {
+  return value => {
+    if (!isPlainObject(value) || !Array.isArray(value[key])) {
+      return `expected an object with a "${key}" array`;
+    }
+    for (let i = 0; i < value[key].length; i++) {
+      const problem = check(value[key][i]);
+      if (problem) return `${key}[${i}]: ${problem}`;
+    }
+    return null;
+  };
+}
+
+function withStrings(...fields) {
+  return value => {
+    if (!isPlainObject(value)) return 'expected an object';
+    const field = fields.find(f => typeof value[f] !== 'string');
+    return field ? `"${field}" must be a string` : null;
+  };
+}
+
+const isString = value => typeof value === 'string' ? null : 'expected a string';
+
+// Locale files: nested objects of strings
+function isLocaleValue(value) {
+  if (typeof value === 'string') return null;
+  return objectOf(isLocaleValue)(value);
+}
+
+// Quote estimator settings of services.json (missing in catalogs saved before it existed)
+function isQuoteSettings(value) {
+  if (value === undefined) return null;
+  return listOf('volume', rule => typeof rule?.minSongs === 'number' && typeof rule.percent === 'number'
+    ? null : 'expected { minSongs, percent } numbers')(value) ||
+    listOf('bundles', rule => Array.isArray(rule?.services) && typeof rule.percent === 'number'
+      ? null : 'expected { services, percent }')(value) ||
+    (typeof value.rushPercent === 'number' ? null : '"rushPercent" must be a number');
+}
+
+// Collections stored in data/. `initial` is used when the file does not exist yet
+// (files added after the first install); files without it are created by init-data.
+// `history` collections keep a revision per write.
+const COLLECTIONS = {
+  bio: {
+    file: 'bio.json',
+    history: true,
+    validate: objectOf(isString)
+  },
+  tracks: {
+    file: 'tracks.json',
+    history: true,
+    validate: listOf('tracks', withStrings('filename', 'title'))
+  },
+  inquiries: {
+    file: 'inquiries.json',
+    initial: () => ({ inquiries: [] }),
+    validate: listOf('inquiries', withStrings('id', 'createdAt', 'email', 'status'))
+  },
+  shares: {
+    file: 'shares.json',
+    initial: () => ({ shares: [] }),
+    validate: listOf('shares', withStrings('id', 'filename', 'expiresAt'))
+  },
+  languages: {
+    file: 'languages.json',
+    initial: () => ({
+      default: 'en',
+      languages: [{ code: 'en', name: 'English' }, { code: 'fr', name: 'Français' }]
+    }),
+    validate: value => listOf('languages', withStrings('code', 'name'))(value) ||
+      (value.languages.some(l => l.code === value.default) ? null : '"default" must be one of the languages')
+  },
+  users: {
+    file: 'users.json',
+    initial: () => ({ users: [] }),
+    validate: listOf('users', value => withStrings('id', 'username', 'role', 'passwordHash')(value) ||
+      (['owner', 'editor'].includes(value.role) ? null : '"role" must be owner or editor'))
+  },
+  activity: {
+    file: 'activity.json',
+    initial: () => ({ entries: [] }),
+    validate: listOf('entries', withStrings('id', 'at', 'user', 'action'))
+  },
+  sessions: {
+    file: 'sessions.json',
+    initial: () => ({ sessions: [] }),
+    validate: listOf('sessions', withStrings('id', 'user', 'csrf', 'createdAt', 'lastSeenAt'))
+  },
+  apiTokens: {
+    file: 'api-tokens.json',
+    initial: () => ({ tokens: [] }),
+    validate: listOf('tokens', value => withStrings('id', 'name', 'role', 'tokenHash', 'createdBy', 'createdAt')(value) ||
+      (['owner', 'editor'].includes(value.role) ? null : '"role" must be owner or editor'))
+  },
+  sections: {
+    file: 'sections.json',
+    history: true,
+    initial: () => ({ sections: [] }),
+    validate: listOf('sections', section => withStrings('id', 'type', 'placement')(section) ||
+      objectOf(isString)(section.title) ||
+      (section.type === 'text' ? objectOf(isString)(section.body) : (Array.isArray(section.items) ? null : '"items" must be an array')))
+  },
+  services: {
+    file: 'services.json',
+    history: true,
+    // Installs from before the catalog get the old contact form services (lazy: lib/services reads the store)
+    initial: () => require('./services').defaultCatalog(),
+    validate: value => listOf('services', service => withStrings('id', 'pricing')(service) ||
+      objectOf(isString)(service.name) || objectOf(isString)(service.description) ||
+      (service.price === null || typeof service.price === 'number' ? null : '"price" must be a number or null') ||
+      (typeof service.active === 'boolean' ? null : '"active" must be true or false'))(value) ||
+      (typeof value.currency === 'string' ? null : '"currency" must be a string') ||
+      isQuoteSettings(value.quote)
+  },
+  media: {
+    file: 'media.json',
+    // Installs from before the media library only had data/images/profile.webp
+    initial: () => ({ profile: 'profile.webp', images: [] }),
+    validate: value => listOf('images', image => withStrings('filename')(image) || objectOf(isString)(image.alt))(value) ||
+      (typeof value.profile === 'string' ? null : '"profile" must be a string')
+  },
+  reviews: {
+    file: 'reviews.json',
+    initial: () => ({ projects: [] }),
+    validate: listOf('projects', project => withStrings('id', 'token', 'title')(project) ||
+      (Array.isArray(project.songs) ? null : '"songs" must be an array'))
+  }
+};
+
+// "locales/en" -> data/locales/en.json
+const LOCALE_NAME = /^locales\/([a-z]{2,3}(?:-[A-Za-z0-9]{2,8})?)$/;
+
+function collection(name) {
+  if (COLLECTIONS[name]) return COLLECTIONS[name];
+  const locale = LOCALE_NAME.exec(name);
+  if (locale) {
+    return { file: path.join('locales', `${locale[1]}.json`), history: true, validate: isLocaleValue };
+  }
+  throw new StoreError(`Unknown data collection "${name}"`);
+}
+
+/**
+ * Collection stored in data/<file> ("tracks.json" -> "tracks", "locales/fr.json" -> "locales/fr"),
+ * null for other files (images, audio, history revisions)
+ */
+function collectionName(file) {
+  const name = Object.keys(COLLECTIONS).find(key => COLLECTIONS[key].file === file);
+  if (name) return name;
+  const locale = /^locales\/(.+)\.json$/.exec(file);
+  return locale && LOCALE_NAME.test(`locales/${locale[1]}`) ? `locales/${locale[1]}` : null;
+}
+
+// Schema problem of `data` as the content of a collection, null if valid
+function checkData(name, data) {
+  return collection(name).validate(data);
+}
+
+function filePath(name) {
+  return path.join(DATA_DIR, collection(name).file);
+}
+
+function validate(name, data) {
+  const problem = collection(name).validate(data);
+  if (problem) {
+    throw new StoreError(`Invalid data in data/${collection(name).file}: ${problem}`, filePath(name));
+  }
+}
+
+/**
+ * Read and validate a collection. Throws a StoreError if the file is missing
+ * (and has no initial value), is not valid JSON or does not match its schema.
+ */
+function read(name) {
+  const { file, initial } = collection(name);
+  const filepath = filePath(name);
+
+  let text;
+  try {
+    text = fs.readFileSync(filepath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT' && initial) return initial();
+    if (e.code === 'ENOENT') {
+      throw new StoreError(`data/${file} is missing. Run "node scripts/init-data.js" to create it.`, filepath);
+    }
+    throw new StoreError(`Cannot read data/${file}: ${e.message}`, filepath);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new StoreError(`data/${file} is not valid JSON (${e.message})`, filepath);
+  }
+  validate(name, data);
+  return data;
+}
+
+// True if the collection file exists (locale files are optional per language)
+function exists(name) {
+  return fs.existsSync(filePath(name));
+}
+
+// Write queue: one chain of pending operations per file
+const queues = new Map();
+// Why writes are refused (see exclusive()), null when they are not
+let paused = null;
+
+function enqueue(filepath, task) {
+  if (paused) {
+    return Promise.reject(new StoreError(`Cannot write ${path.relative(path.dirname(DATA_DIR), filepath)}: ${paused}`, filepath));
+  }
+  const previous = queues.get(filepath) || Promise.resolve();
+  const result = previous.then(task);
+  const settled = result.catch(() => {});
+  queues.set(filepath, settled);
+  settled.then(() => {
+    if (queues.get(filepath) === settled) queues.delete(filepath);
+  });
+  return result;
+}
+
+async function writeAtomic(filepath, data) {
+  const tmpPath = `${filepath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+  try {
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpPath, filepath);
+  } catch (e) {
+    await fs.promises.rm(tmpPath, { force: true });
+    throw new StoreError(`Cannot write ${path.relative(path.dirname(DATA_DIR), filepath)}: ${e.message}`, filepath);
+  }
+}
+
+// Revisions: data/history/<name>/<timestamp>-<random>.json, one per write
+
+function historyDir(name) {
+  return path.join(HISTORY_DIR, ...name.split('/'));
+}
+
+function revisionId(time) {
+  return `${String(time).padStart(13, '0')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Revision ids, newest first
+function revisionIds(name) {
+  try {
+    return fs.readdirSync(historyDir(name))
+      .filter(file => /^\d{13}-[0-9a-f]{6}\.json$/.test(file))
+      .map(file => file.slice(0, -5))
+      .sort()
+      .reverse();
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw new StoreError(`Cannot read history of ${name}: ${e.message}`);
+  }
+}
+
+async function recordRevision(name, data) {
+  const dir = historyDir(name);
+  const filepath = filePath(name);
+
+  // First revision: keep the content that was there before history existed
+  if (revisionIds(name).length === 0 && fs.existsSync(filepath)) {
+    try {
+      const previous = read(name);
+      const { mtimeMs } = fs.statSync(filepath);
+      await writeAtomic(path.join(dir, `${revisionId(Math.floor(mtimeMs))}.json`), previous);
+    } catch (e) {
+      // A broken file is not worth keeping as a revision
+      if (!(e instanceof StoreError)) throw e;
+    }
+  }
+
+  await writeAtomic(path.join(dir, `${revisionId(Date.now())}.json`), data);
+
+  const stale = revisionIds(name).slice(HISTORY_LIMIT);
+  await Promise.all(stale.map(id => fs.promises.rm(path.join(dir, `${id}.json`), { force: true })));
+}
+
+// Write the file and, for content documents, record the revision
+async function commit(name, data) {
+  if (collection(name).history) {
+    await recordRevision(name, data);
+  }
+  await writeAtomic(filePath(name), data);
+}
+
+/**
+ * Revisions of a document, newest first: [{ id, savedAt }]
+ */
+function listRevisions(name) {
+  return revisionIds(name).map(id => ({ id, savedAt: new Date(parseInt(id, 10)).toISOString() }));
+}
+
+/**
+ * Content of a revision (validated like the live file), or null if it does not exist
+ */
+function readRevision(name, id) {
+  if (!revisionIds(name).includes(id)) return null;
+  const filepath = path.join(historyDir(name), `${id}.json`);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (e) {
+    throw new StoreError(`Revision ${id} of ${name} is unreadable (${e.message})`, filepath);
+  }
+  validate(name, data);
+  return data;
+}
+
+/**
+ * Replace a collection with `data` (validated first). Resolves once the file is on disk.
+ */
+function write(name, data) {
+  validate(name, data);
+  const filepath = filePath(name);
+  return enqueue(filepath, () => commit(name, data));
+}
+
+/**
+ * Read-modify-write in the write queue: `fn` gets the current data, mutates it
+ * and returns a result. Returning null or false leaves the file untouched and adds
+ * no revision (e.g. not found, cannot move). Resolves with fn's result.
+ */
+function update(name, fn) {
+  const filepath = filePath(name);
+  return enqueue(filepath, async () => {
+    const data = read(name);
+    const result = await fn(data);
+    if (result === null || result === false) return result;
+    validate(name, data);
+    await commit(name, data);
+    return result;
+  });
+}
+
+/**
+ * Run `task` once the queued writes are done, refusing new ones (StoreError
+ * with `reason`) until it resolves. Used by backup restores, which replace the files.
+ */
+async function exclusive(reason, task) {
+  if (paused) throw new StoreError(`Data is locked: ${paused}`);
+  paused = reason;
+  try {
+    await Promise.all(queues.values());
+    return await task();
+  } finally {
+    paused = null;
+  }
+}
+
+module.exports = {
+  StoreError, DATA_DIR, collectionName, checkData, read, exists, write, update, exclusive, listRevisions, readRevision
+};
@@ -0,0 +1,35 @@
+/**
+ * Track presentation helpers shared by the public page and share links
+ */
+
+const { serviceNames } = require('./services');
+
+/**
+ * Player data for a tracks.json entry, localized for lang (roles as service names).
+ * fileUrl maps a stored file name (audio or peaks) to the URL it is served from.
+ */
+function describeTrack(track, lang, fileUrl) {
+  const roleNames = serviceNames(lang);
+  return {
+    url: fileUrl(track.filename),
+    peaksUrl: track.peaks ? fileUrl(track.peaks) : null,
+    beforeUrl: track.before ? fileUrl(track.before) : null,
+    beforePeaksUrl: track.beforePeaks ? fileUrl(track.beforePeaks) : null,
+    title: track.titles?.[lang] || track.title,
+    description: track.descriptions?.[lang] || '',
+    client: track.client || '',
+    roles: (track.roles || []).map(role => roleNames[role] || role),
+    genre: track.genre || '',
+    year: track.year || null,
+    duration: track.audio?.duration || null,
+    links: track.links || [],
+    cover: track.cover ? `/data/images/covers/${encodeURIComponent(track.cover)}` : null
+  };
+}
+
+// Every file stored for a track (audio, peaks, before version)
+function trackFiles(track) {
+  return [track.filename, track.peaks, track.before, track.beforePeaks].filter(Boolean);
+}
+
+module.exports = { describeTrack, trackFiles };
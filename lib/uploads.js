@@ -0,0 +1,125 @@
+/**
+ * Admin uploads: checked by content, stored under unique names
+ * The browser's mimetype and file name are only hints. Multer stores each upload
+ * under a temporary dot-file name (never served, skipped by backups); the real
+ * format is then read from the first bytes, and the file renamed to a unique
+ * name with the matching extension, or deleted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { detectFormat: detectAudioFormat } = require('./audio-metadata');
+
+const AUDIO_FORMATS = ['mp3', 'wav', 'ogg', 'm4a', 'flac'];
+const IMAGE_FORMATS = ['webp', 'jpeg', 'png', 'gif'];
+
+// File extension given to each format
+const EXTENSIONS = {
+  mp3: '.mp3', wav: '.wav', ogg: '.ogg', m4a: '.m4a', flac: '.flac',
+  webp: '.webp', jpeg: '.jpg', png: '.png', gif: '.gif'
+};
+
+// Bytes read to recognise a format
+const HEAD_SIZE = 16;
+
+class UploadError extends Error {
+  // 415 for a rejected format, 409 for a duplicate
+  constructor(message, status = 415) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+  }
+}
+
+function detectImageFormat(buffer) {
+  const head = buffer.toString('latin1', 0, 12);
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return 'webp';
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (head.startsWith('\x89PNG\r\n\x1a\n')) return 'png';
+  if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) return 'gif';
+  return null;
+}
+
+async function readHead(filepath) {
+  const handle = await fs.promises.open(filepath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function isTemporaryName(filename) {
+  return /^\.upload-[0-9a-f]+\.tmp$/.test(filename || '');
+}
+
+// Multer storage writing to temporary names in dir
+function uploadStorage(dir) {
+  return multer.diskStorage({
+    destination: dir,
+    filename: (req, file, cb) => cb(null, `.upload-${crypto.randomBytes(8).toString('hex')}.tmp`)
+  });
+}
+
+/**
+ * Real format of an upload stored by multer, among `formats` ('mp3', 'png', ...).
+ * Deletes the file and throws an UploadError when it is none of them.
+ */
+async function checkUpload(file, formats) {
+  const head = await readHead(file.path);
+  const format = [detectAudioFormat(head), detectImageFormat(head)].find(f => f && formats.includes(f));
+  if (!format) {
+    await fs.promises.rm(file.path, { force: true });
+    const allowed = [...new Set(formats.map(f => EXTENSIONS[f].slice(1)))].join(', ');
+    throw new UploadError(`${file.originalname} is not a supported file. Allowed: ${allowed}`);
+  }
+  return format;
+}
+
+// "My Song (final).WAV" + wav -> "My_Song_final-3f9a2c1b.wav": readable, unique, extension from the content
+function uniqueName(originalname, format, prefix = '') {
+  const base = path.basename(originalname, path.extname(originalname))
+    .replace(/[^a-zA-Z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80) || 'file';
+  return `${prefix}${base}-${crypto.randomBytes(4).toString('hex')}${EXTENSIONS[format]}`;
+}
+
+// Give a checked upload its final name in the same directory
+async function renameUpload(file, filename) {
+  const target = path.join(path.dirname(file.path), filename);
+  await fs.promises.rename(file.path, target);
+  file.filename = filename;
+  file.path = target;
+  return filename;
+}
+
+// Delete uploads that were not given a final name (rejected, or the request failed)
+function discardUploads(files) {
+  [].concat(files || []).filter(file => isTemporaryName(file.filename)).forEach(file => {
+    fs.rmSync(file.path, { force: true });
+  });
+}
+
+async function hashFile(filepath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filepath)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  IMAGE_FORMATS,
+  EXTENSIONS,
+  UploadError,
+  uploadStorage,
+  checkUpload,
+  uniqueName,
+  renameUpload,
+  discardUploads,
+  hashFile
+};
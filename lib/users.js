@@ -0,0 +1,232 @@
+/**
+ * Admin user accounts
+ * Stored in data/users.json with scrypt password hashes. Owners manage everything,
+ * editors only the site content (bio, translations, SEO).
+ * New users get a one-time link to choose their password, password resets use the
+ * same kind of link. Only a hash of the link token is stored.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const store = require('./store');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['owner', 'editor'];
+const USERNAME = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 10;
+// Invite and reset links stop working after 7 days
+const LINK_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p, keylen } = SCRYPT;
+  const hash = await scrypt(password, salt, keylen, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username is unknown, so both cases take as long
+let dummyHash = null;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function normalizeUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+function listUsers() {
+  return store.read('users').users;
+}
+
+function findUser(username) {
+  return listUsers().find(u => u.username === username) || null;
+}
+
+// Active owners besides `username` (the last owner cannot be disabled or demoted)
+function otherOwners(users, username) {
+  return users.filter(u => u.role === 'owner' && !u.disabled && u.username !== username).length;
+}
+
+// ADMIN_USER as a username (lowercased like the login form), null when it cannot be one
+function bootstrapUsername() {
+  const name = normalizeUsername(process.env.ADMIN_USER || 'admin');
+  return USERNAME.test(name) ? name : null;
+}
+
+/**
+ * First login of an install without users: the ADMIN_USER/ADMIN_PASS pair from the
+ * environment becomes the owner account, its password hashed like any other.
+ * `username` is already normalized.
+ */
+async function bootstrapOwner(username, password) {
+  const adminUser = bootstrapUsername();
+  const adminPass = process.env.ADMIN_PASS;
+  if (!adminUser || !adminPass || listUsers().length > 0) return null;
+
+  const expected = crypto.createHash('sha256').update(`${adminUser}:${adminPass}`).digest();
+  const actual = crypto.createHash('sha256').update(`${username}:${password}`).digest();
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  const owner = {
+    id: crypto.randomUUID(),
+    username: adminUser,
+    role: 'owner',
+    passwordHash: await hashPassword(password),
+    disabled: false,
+    createdAt: new Date().toISOString()
+  };
+  return store.update('users', data => {
+    if (data.users.length > 0) return null;
+    data.users.push(owner);
+    return owner;
+  });
+}
+
+/**
+ * The user if the credentials are right and the account is enabled, otherwise null
+ */
+async function authenticate(username, password) {
+  const name = normalizeUsername(username);
+  const user = findUser(name);
+
+  if (!user || !user.passwordHash) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await checkPassword(password, dummyHash);
+    return user ? null : bootstrapOwner(name, password);
+  }
+  if (!await checkPassword(password, user.passwordHash) || user.disabled) return null;
+
+  await store.update('users', data => {
+    const stored = data.users.find(u => u.id === user.id);
+    if (!stored) return null;
+    stored.lastLoginAt = new Date().toISOString();
+    return stored;
+  });
+  return user;
+}
+
+// New single-use link token, only its hash is kept on the user
+function issueLink(user, kind) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  user.link = { kind, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + LINK_LIFETIME).toISOString() };
+  return token;
+}
+
+/**
+ * New account waiting for its password. Resolves to { user, token },
+ * or throws an Error with a message for the admin.
+ */
+async function inviteUser(username, role) {
+  const name = normalizeUsername(username);
+  if (!USERNAME.test(name)) {
+    throw new Error('Usernames are 2 to 32 characters: lowercase letters, digits, dots, dashes or underscores');
+  }
+  if (!ROLES.includes(role)) throw new Error('Unknown role');
+
+  return store.update('users', data => {
+    if (data.users.some(u => u.username === name)) throw new Error('This username is already taken');
+    const user = {
+      id: crypto.randomUUID(),
+      username: name,
+      role,
+      passwordHash: '',
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+    const token = issueLink(user, 'invite');
+    data.users.push(user);
+    return { user, token };
+  });
+}
+
+// Reset link: the current password keeps working until a new one is set
+function createResetLink(userId) {
+  return store.update('users', data => {
+    const user = data.users.find(u => u.id === userId);
+    if (!user) return null;
+    return { user, token: issueLink(user, user.passwordHash ? 'reset' : 'invite') };
+  });
+}
+
+/**
+ * User an invite/reset link belongs to, or null if it is unknown, used or expired
+ */
+function findByLinkToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const expected = Buffer.from(hashToken(token));
+  return listUsers().find(u => {
+    if (!u.link || u.disabled || new Date(u.link.expiresAt).getTime() < Date.now()) return false;
+    const actual = Buffer.from(u.link.tokenHash);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }) || null;
+}
+
+// Set the password chosen through a link, which then stops working
+async function setPasswordFromLink(token, password) {
+  const user = findByLinkToken(token);
+  if (!user) return null;
+  const passwordHash = await hashPassword(password);
+  return store.update('users', data => {
+    const stored = data.users.find(u => u.id === user.id && u.link && u.link.tokenHash === user.link.tokenHash);
+    if (!stored) return null;
+    stored.passwordHash = passwordHash;
+    delete stored.link;
+    return stored;
+  });
+}
+
+function setRole(userId, role) {
+  if (!ROLES.includes(role)) return Promise.reject(new Error('Unknown role'));
+  return store.update('users', data => {
+    const user = data.users.find(u => u.id === userId);
+    if (!user) return null;
+    if (user.role === 'owner' && role !== 'owner' && !user.disabled && otherOwners(data.users, user.username) === 0) {
+      throw new Error('The site needs at least one active owner');
+    }
+    user.role = role;
+    return user;
+  });
+}
+
+// Disabled users cannot log in, their pending link stops working too
+function setDisabled(userId, disabled) {
+  return store.update('users', data => {
+    const user = data.users.find(u => u.id === userId);
+    if (!user) return null;
+    if (disabled && user.role === 'owner' && otherOwners(data.users, user.username) === 0) {
+      throw new Error('The site needs at least one active owner');
+    }
+    user.disabled = disabled;
+    return user;
+  });
+}
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  listUsers,
+  findUser,
+  bootstrapUsername,
+  authenticate,
+  inviteUser,
+  createResetLink,
+  findByLinkToken,
+  setPasswordFromLink,
+  setRole,
+  setDisabled
+};
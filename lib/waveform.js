@@ -0,0 +1,219 @@
+/**
+ * Waveform peaks generation
+ * Decodes uploaded audio on the server so visitors can draw the waveform
+ * from a small JSON file instead of downloading and decoding the whole track.
+ * Supported: WAV (PCM 8/16/24/32-bit, float 32/64-bit) and MP3.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Number of peaks stored per file (WaveSurfer resamples to the display width)
+const PEAK_COUNT = 1000;
+// Samples per intermediate bin, reduced to PEAK_COUNT once the total length is known
+const BIN_SIZE = 1024;
+// MP3 bytes fed to the decoder per step (yields to the event loop in between)
+const MP3_CHUNK_SIZE = 256 * 1024;
+// WAV frames read per step, same idea
+const WAV_CHUNK_FRAMES = 64 * 1024;
+
+/**
+ * Collects the max absolute amplitude per BIN_SIZE frames across all channels
+ */
+class PeakCollector {
+  constructor() {
+    this.bins = [];
+    this.current = 0;
+    this.count = 0;
+    this.frames = 0;
+  }
+
+  add(value) {
+    const abs = value < 0 ? -value : value;
+    if (abs > this.current) this.current = abs;
+    this.count++;
+    this.frames++;
+    if (this.count === BIN_SIZE) {
+      this.bins.push(this.current);
+      this.current = 0;
+      this.count = 0;
+    }
+  }
+
+  // Reduce bins to at most PEAK_COUNT values rounded to 4 decimals
+  finish() {
+    if (this.count > 0) {
+      this.bins.push(this.current);
+    }
+    const total = this.bins.length;
+    const count = Math.min(PEAK_COUNT, total);
+    const peaks = [];
+    for (let i = 0; i < count; i++) {
+      const start = Math.floor(i * total / count);
+      const end = Math.max(start + 1, Math.floor((i + 1) * total / count));
+      let max = 0;
+      for (let j = start; j < end; j++) {
+        if (this.bins[j] > max) max = this.bins[j];
+      }
+      peaks.push(Math.round(Math.min(max, 1) * 10000) / 10000);
+    }
+    return peaks;
+  }
+}
+
+function isWav(buffer) {
+  return buffer.length >= 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+function isMp3(buffer) {
+  if (buffer.length >= 3 && buffer.toString('ascii', 0, 3) === 'ID3') return true;
+  // MPEG frame sync: 11 set bits
+  return buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0;
+}
+
+// Let other requests through between steps of a long decode
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+async function decodeWav(buffer) {
+  let offset = 12;
+  let format = null;
+  let dataStart = -1;
+  let dataSize = 0;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE: real format is the first 2 bytes of the sub-format GUID
+      if (audioFormat === 0xFFFE && size >= 26) {
+        audioFormat = buffer.readUInt16LE(body + 24);
+      }
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      dataStart = body;
+      dataSize = Math.min(size, buffer.length - body);
+      break;
+    }
+    // Chunks are word-aligned
+    offset = body + size + (size % 2);
+  }
+
+  if (!format || dataStart === -1) {
+    throw new Error('Invalid WAV file: missing fmt or data chunk');
+  }
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const readers = {
+    '1:8': (pos) => (buffer[pos] - 128) / 128,
+    '1:16': (pos) => buffer.readInt16LE(pos) / 32768,
+    '1:24': (pos) => buffer.readIntLE(pos, 3) / 8388608,
+    '1:32': (pos) => buffer.readInt32LE(pos) / 2147483648,
+    '3:32': (pos) => buffer.readFloatLE(pos),
+    '3:64': (pos) => buffer.readDoubleLE(pos)
+  };
+  const read = readers[`${audioFormat}:${bitsPerSample}`];
+  if (!read || channels === 0 || sampleRate === 0) {
+    throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit)`);
+  }
+
+  const blockAlign = bytesPerSample * channels;
+  const frameCount = Math.floor(dataSize / blockAlign);
+  const collector = new PeakCollector();
+
+  for (let start = 0; start < frameCount; start += WAV_CHUNK_FRAMES) {
+    const end = Math.min(start + WAV_CHUNK_FRAMES, frameCount);
+    for (let frame = start; frame < end; frame++) {
+      const pos = dataStart + frame * blockAlign;
+      let max = 0;
+      for (let ch = 0; ch < channels; ch++) {
+        const value = Math.abs(read(pos + ch * bytesPerSample));
+        if (value > max) max = value;
+      }
+      collector.add(max);
+    }
+    await yieldToEventLoop();
+  }
+
+  return { duration: frameCount / sampleRate, sampleRate, peaks: collector.finish() };
+}
+
+async function decodeMp3(buffer) {
+  // mpg123-decoder is an ES module
+  const { MPEGDecoder } = await import('mpg123-decoder');
+  const decoder = new MPEGDecoder();
+  await decoder.ready;
+
+  const collector = new PeakCollector();
+  let sampleRate = 0;
+
+  try {
+    for (let offset = 0; offset < buffer.length; offset += MP3_CHUNK_SIZE) {
+      const chunk = buffer.subarray(offset, offset + MP3_CHUNK_SIZE);
+      const { channelData, samplesDecoded, sampleRate: rate } = decoder.decode(chunk);
+      if (rate) sampleRate = rate;
+
+      for (let i = 0; i < samplesDecoded; i++) {
+        let max = 0;
+        for (const channel of channelData) {
+          const value = Math.abs(channel[i]);
+          if (value > max) max = value;
+        }
+        collector.add(max);
+      }
+
+      // Large files take a while to decode: let other requests through
+      await yieldToEventLoop();
+    }
+  } finally {
+    decoder.free();
+  }
+
+  if (!sampleRate || collector.frames === 0) {
+    throw new Error('Invalid MP3 file: no audio frames decoded');
+  }
+
+  return { duration: collector.frames / sampleRate, sampleRate, peaks: collector.finish() };
+}
+
+/**
+ * Compute { duration, sampleRate, peaks } for an audio file.
+ * Returns null for formats that cannot be decoded on the server.
+ */
+async function generatePeaks(filepath) {
+  const buffer = await fs.promises.readFile(filepath);
+  if (isWav(buffer)) return decodeWav(buffer);
+  if (isMp3(buffer)) return decodeMp3(buffer);
+  return null;
+}
+
+/**
+ * Generate peaks for an audio file and store them next to it as <file>.peaks.json.
+ * Returns the peaks file name, or null if the format is not supported.
+ */
+async function writePeaksFile(filepath) {
+  const result = await generatePeaks(filepath);
+  if (!result) return null;
+
+  const peaksPath = `${filepath}.peaks.json`;
+  await fs.promises.writeFile(peaksPath, JSON.stringify({
+    duration: Math.round(result.duration * 1000) / 1000,
+    sampleRate: result.sampleRate,
+    peaks: result.peaks
+  }));
+  return path.basename(peaksPath);
+}
+
+module.exports = { generatePeaks, writePeaksFile };
@@ -0,0 +1,302 @@
+/**
+ * Portfolio tracks ("My Work"): uploads, edits, ordering and deletion
+ * Shared by the admin pages and the admin API. Callers record the activity
+ * and reload the public track list (reloadTracks) once they are done.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const store = require('./store');
+const languages = require('./languages');
+const { writePeaksFile } = require('./waveform');
+const { readAudioMetadata } = require('./audio-metadata');
+const { revokeSharesFor } = require('./shares');
+const { trackFiles } = require('./tracks');
+const { AUDIO_FORMATS, UploadError, uploadStorage, checkUpload, uniqueName, renameUpload, hashFile } = require('./uploads');
+
+const WORK_DIR = path.join(__dirname, '..', 'public', 'work');
+const PRIVATE_DIR = path.join(store.DATA_DIR, 'private');
+const COVERS_DIR = path.join(store.DATA_DIR, 'images', 'covers');
+
+const AUDIO_MAX_SIZE = 50 * 1024 * 1024; // 50MB
+
+// Multer config for audio uploads (format checked from the content once stored, see lib/uploads.js)
+const audioUpload = multer({
+  storage: uploadStorage(WORK_DIR),
+  limits: { fileSize: AUDIO_MAX_SIZE }
+});
+
+// Path traversal protection for file names coming from requests
+function isSafeFilename(filename) {
+  return typeof filename === 'string' && filename !== '' &&
+    !filename.includes('/') && !filename.includes('\\') && !filename.includes('..');
+}
+
+// Delete a cover image from data/images/covers (ignores unknown or unsafe names)
+function deleteCover(cover) {
+  if (!isSafeFilename(cover)) return;
+  const coverPath = path.join(COVERS_DIR, cover);
+  if (fs.existsSync(coverPath)) {
+    fs.unlinkSync(coverPath);
+  }
+}
+
+// Private tracks live outside public/ and are only served through share links
+function trackDir(track) {
+  return track.private ? PRIVATE_DIR : WORK_DIR;
+}
+
+// Delete an audio file from public/work or another track dir (ignores unknown or unsafe names)
+function deleteWorkFile(filename, dir = WORK_DIR) {
+  if (!isSafeFilename(filename)) return;
+  const filepath = path.join(dir, filename);
+  if (fs.existsSync(filepath)) {
+    fs.unlinkSync(filepath);
+  }
+}
+
+/**
+ * Delete files of `track` that no other track in `tracks` refers to: tracks saved
+ * while "before" uploads were named before_<name> can share the same file.
+ */
+function deleteUnsharedFiles(files, track, tracks) {
+  const shared = new Set(tracks.filter(t => t !== track).flatMap(trackFiles));
+  files.filter(file => file && !shared.has(file)).forEach(file => deleteWorkFile(file, trackDir(track)));
+}
+
+// Generate waveform peaks next to an uploaded audio file.
+// Returns the peaks file name, or null if the format is unsupported or decoding failed.
+async function generateTrackPeaks(filename) {
+  try {
+    return await writePeaksFile(path.join(WORK_DIR, filename));
+  } catch (e) {
+    console.error(`Failed to generate peaks for ${filename}:`, e.message);
+    return null;
+  }
+}
+
+// Read embedded tags and technical info, null if unreadable
+async function readTrackMetadata(filename) {
+  try {
+    return await readAudioMetadata(path.join(WORK_DIR, filename));
+  } catch (e) {
+    console.error(`Failed to read metadata for ${filename}:`, e.message);
+    return null;
+  }
+}
+
+// "My_Song__final_v3_.wav" -> "My Song final v3"
+function titleFromFilename(filename) {
+  const base = path.basename(filename, path.extname(filename));
+  return base.replace(/_+/g, ' ').replace(/\s+/g, ' ').trim() || base;
+}
+
+// { label, url } for an http(s) URL (label defaults to the host name), null otherwise
+function toLink(url, label) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    return { label: label || parsed.hostname.replace(/^www\./, ''), url: parsed.href };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Parse "Label | https://..." lines (or bare URLs) into links, keeping only http(s) URLs
+function parseLinks(text) {
+  return (text || '').split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [first, second] = line.split('|').map(part => part.trim());
+      return second ? toLink(second, first) : toLink(first);
+    })
+    .filter(Boolean);
+}
+
+// Keep one trimmed string per site language from a { en, fr, ... } form field
+function pickLocalized(value) {
+  const result = {};
+  languages.languageCodes().forEach(lang => {
+    const text = typeof value?.[lang] === 'string' ? value[lang].trim() : '';
+    if (text) result[lang] = text;
+  });
+  return result;
+}
+
+// Track as named in the activity log
+function trackLabel(track) {
+  return `${track.title} (${track.filename})`;
+}
+
+// Editable track fields, compared before and after an edit for the activity log
+const TRACK_LOG_FIELDS = ['title', 'titles', 'descriptions', 'client', 'roles', 'genre', 'year', 'links', 'cover'];
+
+function pickTrackFields(track) {
+  const fields = {};
+  TRACK_LOG_FIELDS.forEach(field => {
+    if (track[field] !== undefined) fields[field] = track[field];
+  });
+  return fields;
+}
+
+// Get reloadTracks from server.js (lazy-loaded to avoid circular dependency)
+function reloadTracks() {
+  const server = require('../server');
+  if (server && server.reloadTracks) {
+    server.reloadTracks();
+  }
+}
+
+// Tracks uploaded before content hashes were recorded get theirs on the next upload
+async function recordMissingHashes() {
+  const hashes = {};
+  for (const track of store.read('tracks').tracks.filter(t => !t.sha256)) {
+    const filepath = path.join(trackDir(track), track.filename);
+    if (fs.existsSync(filepath)) hashes[track.filename] = await hashFile(filepath);
+  }
+  if (Object.keys(hashes).length === 0) return;
+  await store.update('tracks', tracksData => {
+    tracksData.tracks.forEach(track => {
+      if (!track.sha256 && hashes[track.filename]) track.sha256 = hashes[track.filename];
+    });
+  });
+}
+
+function duplicateError(existing) {
+  return new UploadError(`This file is already in My Work as "${existing.title}" (${existing.filename})`, 409);
+}
+
+/**
+ * Check a file stored by audioUpload and add it as a track: unique file name,
+ * waveform, tags and tracks.json entry. Throws an UploadError (file deleted)
+ * when it is not audio or is the exact same file as an existing track.
+ */
+async function addUploadedTrack(file) {
+  const format = await checkUpload(file, AUDIO_FORMATS);
+  const sha256 = await hashFile(file.path);
+  await recordMissingHashes();
+  const existing = store.read('tracks').tracks.find(t => t.sha256 === sha256);
+  if (existing) {
+    fs.rmSync(file.path, { force: true });
+    throw duplicateError(existing);
+  }
+
+  const filename = await renameUpload(file, uniqueName(file.originalname, format));
+  const peaks = await generateTrackPeaks(filename);
+  const metadata = await readTrackMetadata(filename);
+  const tags = metadata?.tags || {};
+
+  // Add entry to tracks.json, pre-filled from embedded tags
+  const track = { filename, title: tags.title || titleFromFilename(file.originalname), sha256 };
+  if (tags.artist) track.client = tags.artist;
+  if (tags.genre) track.genre = tags.genre;
+  if (/^\d{4}$/.test(tags.year || '')) track.year = parseInt(tags.year, 10);
+  if (metadata) {
+    const { format, duration, sampleRate, bitDepth, channels, bitrate } = metadata;
+    track.audio = { format, sampleRate, bitDepth, channels, bitrate };
+    if (duration) track.audio.duration = Math.round(duration * 1000) / 1000;
+  }
+  if (peaks) track.peaks = peaks;
+
+  // Same file uploaded twice at the same time: only the first one is kept
+  const duplicate = await store.update('tracks', tracksData => {
+    const other = tracksData.tracks.find(t => t.sha256 === sha256);
+    if (other) return { other };
+    tracksData.tracks.push(track);
+  });
+  if (duplicate) {
+    trackFiles(track).forEach(name => deleteWorkFile(name));
+    throw duplicateError(duplicate.other);
+  }
+  return track;
+}
+
+/**
+ * Set the given editable fields of a track (other fields are kept).
+ * Resolves to { track, previous } with the fields as they were, or null if the track is unknown.
+ */
+function updateTrack(filename, fields) {
+  return store.update('tracks', tracksData => {
+    const track = tracksData.tracks.find(t => t.filename === filename);
+    if (!track) return null;
+    const previous = pickTrackFields(track);
+    Object.assign(track, fields);
+    return { track, previous };
+  });
+}
+
+/**
+ * Remove a track with its files, cover and share links.
+ * Resolves to the removed tracks.json entry, or null if the track is unknown.
+ */
+async function deleteTrack(filename) {
+  let remaining;
+  const removed = await store.update('tracks', tracksData => {
+    const index = tracksData.tracks.findIndex(t => t.filename === filename);
+    remaining = tracksData.tracks;
+    return index === -1 ? null : tracksData.tracks.splice(index, 1)[0];
+  });
+  if (!removed) return null;
+
+  await revokeSharesFor(removed.filename);
+  deleteCover(removed.cover);
+
+  // Delete the audio, peaks and before files
+  deleteUnsharedFiles(trackFiles(removed), removed, remaining);
+  return removed;
+}
+
+/**
+ * Save the whole track order at once. The list must contain every track exactly once.
+ * Resolves to false if it does not, null if the order is unchanged, otherwise to
+ * the positions of the tracks that moved: { before, after } keyed by trackLabel.
+ */
+function setTrackOrder(order) {
+  return store.update('tracks', tracksData => {
+    const current = tracksData.tracks.map(t => t.filename);
+    if (order.length !== current.length || new Set(order).size !== order.length ||
+        !order.every(filename => current.includes(filename))) {
+      return false;
+    }
+    if (order.every((filename, index) => current[index] === filename)) return null;
+
+    const previous = tracksData.tracks;
+    tracksData.tracks = order.map(filename => previous.find(t => t.filename === filename));
+
+    const before = {};
+    const after = {};
+    tracksData.tracks.forEach((track, index) => {
+      const oldIndex = current.indexOf(track.filename);
+      if (oldIndex === index) return;
+      before[trackLabel(track)] = `#${oldIndex + 1}`;
+      after[trackLabel(track)] = `#${index + 1}`;
+    });
+    return { before, after };
+  });
+}
+
+module.exports = {
+  WORK_DIR,
+  PRIVATE_DIR,
+  COVERS_DIR,
+  AUDIO_MAX_SIZE,
+  audioUpload,
+  isSafeFilename,
+  deleteCover,
+  trackDir,
+  deleteWorkFile,
+  deleteUnsharedFiles,
+  generateTrackPeaks,
+  toLink,
+  parseLinks,
+  pickLocalized,
+  trackLabel,
+  pickTrackFields,
+  reloadTracks,
+  addUploadedTrack,
+  updateTrack,
+  deleteTrack,
+  setTrackOrder
+};
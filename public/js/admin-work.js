@@ -0,0 +1,229 @@
+/**
+ * Admin work page - drag and drop upload and drag to reorder
+ * Files are uploaded one request each so every file gets its own progress bar.
+ * The track order is saved in one request after each drop.
+ */
+
+function initWorkPage({ csrfToken }) {
+  bindUpload(csrfToken);
+  bindReorder(csrfToken);
+}
+
+// Upload
+
+function bindUpload(csrfToken) {
+  const form = document.getElementById('upload-form');
+  const list = document.getElementById('upload-list');
+  if (!form || !list) return;
+
+  const input = form.querySelector('input[type="file"]');
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    uploadFiles([...input.files], form, list, csrfToken);
+    input.value = '';
+  });
+
+  ['dragenter', 'dragover'].forEach(type => {
+    form.addEventListener(type, (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      form.classList.add('is-dragover');
+    });
+  });
+  ['dragleave', 'drop'].forEach(type => {
+    form.addEventListener(type, () => form.classList.remove('is-dragover'));
+  });
+  form.addEventListener('drop', (e) => {
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    uploadFiles([...e.dataTransfer.files], form, list, csrfToken);
+  });
+}
+
+/**
+ * Upload files one after the other (the server generates waveforms, one at a time is enough).
+ * Reloads the page once every file is in, failed files stay listed with their error.
+ */
+async function uploadFiles(files, form, list, csrfToken) {
+  if (files.length === 0) return;
+
+  const rows = files.map(file => addUploadRow(list, file));
+  let failed = 0;
+  for (let i = 0; i < files.length; i++) {
+    try {
+      await uploadFile(files[i], form.getAttribute('action').split('?')[0], csrfToken, rows[i]);
+      setUploadStatus(rows[i], 'done', 'Uploaded');
+    } catch (err) {
+      failed++;
+      setUploadStatus(rows[i], 'error', err.message);
+    }
+  }
+
+  if (failed === 0) {
+    window.location.href = `/admin/work?message=${encodeURIComponent(`${files.length} track(s) uploaded`)}`;
+  } else if (failed < files.length) {
+    const reload = document.createElement('li');
+    reload.innerHTML = '<a href="/admin/work">Reload the page</a> to see the uploaded tracks.';
+    list.appendChild(reload);
+  }
+}
+
+function addUploadRow(list, file) {
+  const row = document.createElement('li');
+  row.className = 'admin-upload-item';
+
+  const name = document.createElement('span');
+  name.className = 'admin-upload-name';
+  name.textContent = file.name;
+
+  const progress = document.createElement('progress');
+  progress.max = 100;
+  progress.value = 0;
+
+  const status = document.createElement('span');
+  status.className = 'admin-upload-status';
+  status.textContent = 'Waiting';
+
+  row.append(name, progress, status);
+  list.appendChild(row);
+  return row;
+}
+
+function setUploadStatus(row, state, text) {
+  row.classList.remove('is-uploading', 'is-processing', 'is-done', 'is-error');
+  row.classList.add(`is-${state}`);
+  row.querySelector('.admin-upload-status').textContent = text;
+}
+
+// XMLHttpRequest rather than fetch: fetch has no upload progress events
+function uploadFile(file, url, csrfToken, row) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const progress = row.querySelector('progress');
+    const data = new FormData();
+    data.append('audio', file);
+
+    xhr.open('POST', url);
+    xhr.setRequestHeader('Accept', 'application/json');
+    xhr.setRequestHeader('X-CSRF-Token', csrfToken);
+
+    xhr.upload.addEventListener('progress', (e) => {
+      if (!e.lengthComputable) return;
+      const percent = Math.round(e.loaded / e.total * 100);
+      progress.value = percent;
+      setUploadStatus(row, 'uploading', `${percent}%`);
+    });
+    // Sent: the server still reads tags and builds the waveform
+    xhr.upload.addEventListener('load', () => {
+      progress.value = 100;
+      setUploadStatus(row, 'processing', 'Processing…');
+    });
+
+    xhr.addEventListener('load', () => {
+      let body = null;
+      try {
+        body = JSON.parse(xhr.responseText);
+      } catch (e) {
+        // Not JSON: rate limit or CSRF error page
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(body);
+      } else {
+        reject(new Error(body?.error || `Upload failed (HTTP ${xhr.status})`));
+      }
+    });
+    xhr.addEventListener('error', () => reject(new Error('Network error')));
+
+    setUploadStatus(row, 'uploading', '0%');
+    xhr.send(data);
+  });
+}
+
+// Reorder
+
+function bindReorder(csrfToken) {
+  const list = document.getElementById('track-list');
+  const status = document.getElementById('order-status');
+  if (!list || list.children.length < 2) return;
+
+  let dragged = null;
+  let startOrder = null;
+
+  // Only the handle starts a drag, so text in the edit forms stays selectable
+  list.querySelectorAll('.admin-drag-handle').forEach(handle => {
+    const item = handle.closest('.admin-track-item');
+    handle.addEventListener('mousedown', () => { item.draggable = true; });
+    handle.addEventListener('mouseup', () => { item.draggable = false; });
+  });
+
+  list.addEventListener('dragstart', (e) => {
+    dragged = e.target.closest('.admin-track-item');
+    if (!dragged) return;
+    startOrder = trackOrder(list);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragged.dataset.filename);
+    dragged.classList.add('is-dragging');
+  });
+
+  list.addEventListener('dragover', (e) => {
+    if (!dragged) return;
+    e.preventDefault();
+    const target = e.target.closest('.admin-track-item');
+    if (!target || target === dragged) return;
+    const { top, height } = target.getBoundingClientRect();
+    const after = e.clientY > top + height / 2;
+    list.insertBefore(dragged, after ? target.nextSibling : target);
+  });
+
+  list.addEventListener('drop', (e) => {
+    if (dragged) e.preventDefault();
+  });
+
+  list.addEventListener('dragend', () => {
+    if (!dragged) return;
+    dragged.classList.remove('is-dragging');
+    dragged.draggable = false;
+    dragged = null;
+
+    const order = trackOrder(list);
+    if (order.join('\n') === startOrder.join('\n')) return;
+    renumberTracks(list);
+    saveOrder(order, csrfToken, status);
+  });
+}
+
+function trackOrder(list) {
+  return [...list.querySelectorAll('.admin-track-item')].map(item => item.dataset.filename);
+}
+
+// Numbers and the first/last up and down buttons follow the new order
+function renumberTracks(list) {
+  const items = [...list.querySelectorAll('.admin-track-item')];
+  items.forEach((item, index) => {
+    item.querySelector('.admin-track-order').textContent = `#${index + 1}`;
+    const [up, down] = item.querySelectorAll('.admin-reorder-form button');
+    if (up) up.disabled = index === 0;
+    if (down) down.disabled = index === items.length - 1;
+  });
+}
+
+async function saveOrder(order, csrfToken, status) {
+  const body = new URLSearchParams();
+  order.forEach(filename => body.append('order', filename));
+
+  status.hidden = false;
+  status.textContent = 'Saving order…';
+  try {
+    const response = await fetch('/admin/work/order', {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'X-CSRF-Token': csrfToken },
+      body
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`);
+    status.textContent = 'Order saved';
+  } catch (err) {
+    status.textContent = `Order not saved: ${err.message}`;
+  }
+}
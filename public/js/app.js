@@ -1,10 +1,11 @@
 /**
  * Main Application JavaScript
- * Handles form submission and smooth scrolling
+ * Handles form submission, the quote estimate and smooth scrolling
  */
 
 document.addEventListener('DOMContentLoaded', () => {
   bindContactForm();
+  bindQuoteEstimate();
   bindSmoothScroll();
 });
 
@@ -58,6 +59,72 @@ function bindContactForm() {
   }
 }
 
+/**
+ * Live price estimate under the contact form, from the rate table rendered
+ * with the page (the server recomputes it when the form is sent)
+ */
+function bindQuoteEstimate() {
+  const form = document.getElementById('contact-form');
+  const ratesElement = document.getElementById('quote-rates');
+  const panel = document.getElementById('quote-estimate');
+  if (!form || !ratesElement || !panel || !window.Quote) return;
+
+  const rates = JSON.parse(ratesElement.textContent);
+  const labels = window.messages.quote;
+  const lang = document.documentElement.lang;
+  const lines = panel.querySelector('.quote-lines');
+  const hint = panel.querySelector('.quote-hint');
+  const names = Object.fromEntries(rates.services.map(service => [service.id, service.name]));
+  const amount = value => Quote.formatAmount(value, rates.currency, lang);
+
+  const addLine = (label, value, className) => {
+    const term = document.createElement('dt');
+    const detail = document.createElement('dd');
+    term.textContent = label;
+    detail.textContent = value;
+    if (className) {
+      term.className = className;
+      detail.className = className;
+    }
+    lines.append(term, detail);
+  };
+
+  const update = () => {
+    const formData = new FormData(form);
+    const request = {
+      songs: Number(formData.get('numberOfSongs')) || 0,
+      services: formData.getAll('services'),
+      rush: formData.get('rush') === 'on'
+    };
+    const pricedChosen = rates.services.some(service => request.services.includes(service.id) && service.price !== null);
+    const result = Quote.estimate(rates, request);
+
+    panel.hidden = !pricedChosen;
+    hint.hidden = Boolean(result);
+    lines.replaceChildren();
+    if (!result) return;
+
+    result.items.forEach(item => {
+      addLine(item.pricing === 'flat' ? names[item.id] : `${names[item.id]} \u00d7 ${request.songs}`, amount(item.amount));
+    });
+    result.unpriced.forEach(id => addLine(names[id], labels.onRequest));
+    result.discounts.forEach(discount => {
+      const label = discount.type === 'volume' ? labels.volumeDiscount : labels.bundleDiscount;
+      addLine(`${label} (${discount.percent}%)`, `-${amount(discount.amount)}`);
+    });
+    if (result.rushFee > 0) {
+      addLine(`${labels.rushFee} (${rates.rushPercent}%)`, `+${amount(result.rushFee)}`);
+    }
+    addLine(labels.total, amount(result.total), 'quote-total');
+  };
+
+  form.addEventListener('input', update);
+  form.addEventListener('change', update);
+  // Values are cleared after the reset event
+  form.addEventListener('reset', () => setTimeout(update));
+  update();
+}
+
 /**
  * Show a message to the user
  */
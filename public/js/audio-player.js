@@ -6,6 +6,9 @@ class AudioPlayer {
   static instances = [];
   static cachedColors = null;
 
+  // Max drift (seconds) tolerated between before/after sources before re-aligning
+  static SYNC_TOLERANCE = 0.05;
+
   /**
    * Resolve CSS color variables to hex values (cached globally)
    */
@@ -52,12 +55,20 @@ class AudioPlayer {
   constructor(playerEl) {
     this.playerEl = playerEl;
     this.audioUrl = playerEl.dataset.audioUrl || '/test.mp3';
-    this.waveformEl = playerEl.querySelector('.audio-waveform');
+    this.peaksUrl = playerEl.dataset.peaksUrl || null;
+    this.beforeUrl = playerEl.dataset.beforeUrl || null;
+    this.beforePeaksUrl = playerEl.dataset.beforePeaksUrl || null;
+    this.waveformEl = playerEl.querySelector(this.beforeUrl ? '.audio-waveform-after' : '.audio-waveform');
+    this.beforeWaveformEl = playerEl.querySelector('.audio-waveform-before');
     this.playBtn = playerEl.querySelector('.audio-play-btn');
+    this.abBtn = playerEl.querySelector('.audio-ab-btn');
     this.currentTimeEl = playerEl.querySelector('.audio-current');
     this.durationEl = playerEl.querySelector('.audio-duration');
 
     this.wavesurfer = null;
+    // Optional "before" source for A/B comparison, played muted alongside the main one
+    this.beforeWavesurfer = null;
+    this.activeSide = 'after';
     this.init();
 
     AudioPlayer.instances.push(this);
@@ -71,10 +82,23 @@ class AudioPlayer {
   }
 
   createWaveSurfer() {
-    const colors = AudioPlayer.getColors();
+    this.wavesurfer = this.buildWaveSurfer(this.waveformEl, this.audioUrl, this.peaksUrl);
+
+    if (this.beforeUrl && this.beforeWaveformEl) {
+      this.beforeWavesurfer = this.buildWaveSurfer(this.beforeWaveformEl, this.beforeUrl, this.beforePeaksUrl);
+      this.beforeWavesurfer.setMuted(true);
+    }
+  }
 
-    this.wavesurfer = WaveSurfer.create({
-      container: this.waveformEl,
+  /**
+   * Create a WaveSurfer instance. With server-generated peaks the waveform is
+   * drawn right away and the audio is only downloaded once playback starts;
+   * otherwise the whole file is fetched and decoded in the browser.
+   */
+  buildWaveSurfer(container, url, peaksUrl) {
+    const colors = AudioPlayer.getColors();
+    const options = {
+      container,
       waveColor: colors.waveColor,
       progressColor: colors.progressColor,
       cursorColor: colors.cursorColor,
@@ -83,9 +107,29 @@ class AudioPlayer {
       barGap: 1,
       barRadius: 0,
       height: 'auto',
-      normalize: true,
-      url: this.audioUrl
-    });
+      normalize: true
+    };
+
+    if (!peaksUrl) {
+      return WaveSurfer.create({ ...options, url });
+    }
+
+    const media = document.createElement('audio');
+    media.preload = 'none';
+    const wavesurfer = WaveSurfer.create({ ...options, media });
+
+    fetch(peaksUrl)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(data => wavesurfer.load(url, [data.peaks], data.duration))
+      .catch(error => {
+        console.warn('Waveform peaks unavailable, decoding audio instead:', error);
+        wavesurfer.load(url);
+      });
+
+    return wavesurfer;
   }
 
   bindEvents() {
@@ -99,6 +143,9 @@ class AudioPlayer {
     });
 
     this.wavesurfer.on('finish', () => {
+      if (this.beforeWavesurfer) {
+        this.beforeWavesurfer.pause();
+      }
       this.playBtn.setAttribute('data-playing', 'false');
     });
 
@@ -112,7 +159,7 @@ class AudioPlayer {
       // Pause all other players
       AudioPlayer.instances.forEach(instance => {
         if (instance !== this && instance.wavesurfer.isPlaying()) {
-          instance.wavesurfer.pause();
+          instance.pause();
         }
       });
       this.playBtn.setAttribute('data-playing', 'true');
@@ -132,6 +179,34 @@ class AudioPlayer {
         this.togglePlay();
       }
     });
+
+    if (this.beforeWavesurfer) {
+      this.bindComparisonEvents();
+    }
+  }
+
+  /**
+   * A/B comparison: both sources play in parallel and the toggle only swaps
+   * which one is muted, so switching happens without a gap
+   */
+  bindComparisonEvents() {
+    // Seeking either waveform moves both playheads
+    this.wavesurfer.on('interaction', (time) => {
+      this.beforeWavesurfer.setTime(time);
+    });
+
+    this.beforeWavesurfer.on('interaction', (time) => {
+      this.wavesurfer.setTime(time);
+    });
+
+    this.beforeWavesurfer.on('error', (error) => {
+      console.error('WaveSurfer error (before):', error);
+      this.abBtn.disabled = true;
+    });
+
+    this.abBtn.addEventListener('click', () => {
+      this.toggleSide();
+    });
   }
 
   bindThemeChange() {
@@ -144,7 +219,43 @@ class AudioPlayer {
   }
 
   togglePlay() {
-    this.wavesurfer.playPause();
+    if (!this.beforeWavesurfer) {
+      this.wavesurfer.playPause();
+      return;
+    }
+
+    if (this.wavesurfer.isPlaying()) {
+      this.pause();
+    } else {
+      this.beforeWavesurfer.setTime(this.wavesurfer.getCurrentTime());
+      this.wavesurfer.play();
+      this.beforeWavesurfer.play();
+    }
+  }
+
+  pause() {
+    this.wavesurfer.pause();
+    if (this.beforeWavesurfer) {
+      this.beforeWavesurfer.pause();
+    }
+  }
+
+  toggleSide() {
+    const toBefore = this.activeSide === 'after';
+    const from = toBefore ? this.wavesurfer : this.beforeWavesurfer;
+    const to = toBefore ? this.beforeWavesurfer : this.wavesurfer;
+
+    // Re-align only on noticeable drift, seeking causes a tiny glitch
+    if (Math.abs(to.getCurrentTime() - from.getCurrentTime()) > AudioPlayer.SYNC_TOLERANCE) {
+      to.setTime(from.getCurrentTime());
+    }
+    to.setMuted(false);
+    from.setMuted(true);
+
+    this.activeSide = toBefore ? 'before' : 'after';
+    this.abBtn.setAttribute('data-side', this.activeSide);
+    this.waveformEl.classList.toggle('is-active', !toBefore);
+    this.beforeWaveformEl.classList.toggle('is-active', toBefore);
   }
 
   updateTime() {
@@ -166,10 +277,12 @@ class AudioPlayer {
 
   updateColors() {
     const colors = AudioPlayer.getColors();
-    this.wavesurfer.setOptions({
-      waveColor: colors.waveColor,
-      progressColor: colors.progressColor,
-      cursorColor: colors.cursorColor
+    [this.wavesurfer, this.beforeWavesurfer].filter(Boolean).forEach(wavesurfer => {
+      wavesurfer.setOptions({
+        waveColor: colors.waveColor,
+        progressColor: colors.progressColor,
+        cursorColor: colors.cursorColor
+      });
     });
   }
 
@@ -177,6 +290,9 @@ class AudioPlayer {
     if (this.wavesurfer) {
       this.wavesurfer.destroy();
     }
+    if (this.beforeWavesurfer) {
+      this.beforeWavesurfer.destroy();
+    }
     const index = AudioPlayer.instances.indexOf(this);
     if (index > -1) {
       AudioPlayer.instances.splice(index, 1);
@@ -0,0 +1,79 @@
+/**
+ * Quote - price estimate for the contact form
+ * Shared by the browser (live estimate, window.Quote) and the server
+ * (lib/quote.js, which recomputes it for the notification email), so both
+ * always agree on the amount.
+ */
+(function (Quote) {
+  const MAX_PERCENT = 100;
+
+  function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Largest percent among the rules that apply, 0 if none
+  function bestPercent(rules) {
+    return rules.reduce((best, rule) => Math.max(best, rule.percent), 0);
+  }
+
+  /**
+   * Estimate for a request, from a rate table:
+   * rates: { currency, services: [{ id, pricing, price }], volume: [{ minSongs, percent }],
+   *          bundles: [{ services: [ids], percent }], rushPercent }
+   * request: { songs, services: [ids], rush }
+   *
+   * Per-song prices are multiplied by the number of songs, flat prices are counted once.
+   * The best volume discount (by number of songs) and the best bundle discount (all its
+   * services chosen) both apply to the subtotal; the rush fee is a percent of what is left.
+   * Returns null when nothing chosen has a price, or when songs are needed and missing:
+   * { items: [{ id, pricing, amount }], unpriced: [ids], subtotal, discounts: [{ type, percent, amount }],
+   *   rushFee, total, currency }
+   */
+  Quote.estimate = function (rates, request) {
+    const songs = Number.isInteger(request.songs) && request.songs > 0 ? request.songs : 0;
+    const chosen = rates.services.filter(service => request.services.includes(service.id));
+    const priced = chosen.filter(service => typeof service.price === 'number');
+    if (priced.length === 0) return null;
+    if (songs === 0 && priced.some(service => service.pricing === 'perSong')) return null;
+
+    const items = priced.map(service => ({
+      id: service.id,
+      pricing: service.pricing,
+      amount: roundCents(service.pricing === 'flat' ? service.price : service.price * songs)
+    }));
+    const subtotal = roundCents(items.reduce((sum, item) => sum + item.amount, 0));
+
+    const discounts = [];
+    const volume = Math.min(bestPercent(rates.volume.filter(rule => songs >= rule.minSongs)), MAX_PERCENT);
+    if (volume > 0) discounts.push({ type: 'volume', percent: volume });
+    const bundle = Math.min(bestPercent(rates.bundles.filter(rule =>
+      rule.services.length > 0 && rule.services.every(id => request.services.includes(id)))), MAX_PERCENT);
+    if (bundle > 0) discounts.push({ type: 'bundle', percent: bundle });
+
+    let remaining = subtotal;
+    discounts.forEach(discount => {
+      discount.amount = Math.min(roundCents(subtotal * discount.percent / 100), remaining);
+      remaining = roundCents(remaining - discount.amount);
+    });
+
+    const rushFee = request.rush && rates.rushPercent > 0 ? roundCents(remaining * rates.rushPercent / 100) : 0;
+    return {
+      items,
+      unpriced: chosen.filter(service => typeof service.price !== 'number').map(service => service.id),
+      subtotal,
+      discounts,
+      rushFee,
+      total: roundCents(remaining + rushFee),
+      currency: rates.currency
+    };
+  };
+
+  // "1 250 €" / "€1,250" depending on the language
+  Quote.formatAmount = function (amount, currency, lang) {
+    try {
+      return new Intl.NumberFormat(lang, { style: 'currency', currency, maximumFractionDigits: amount % 1 === 0 ? 0 : 2 }).format(amount);
+    } catch (e) {
+      return `${amount} ${currency}`;
+    }
+  };
+})(typeof module !== 'undefined' ? module.exports : (window.Quote = {}));
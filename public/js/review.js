@@ -0,0 +1,73 @@
+/**
+ * Review portal - comments pinned to the waveform
+ * Clicking the waveform (or pausing) sets the comment time,
+ * timestamps and markers seek the player to the comment
+ */
+
+const REVIEW_NAME_KEY = 'hellajay-review-name';
+
+function initReview() {
+  document.querySelectorAll('.review-version').forEach(bindReviewVersion);
+  bindReviewName();
+}
+
+/**
+ * Wire one version block: its AudioPlayer, comment list and form
+ */
+function bindReviewVersion(versionEl) {
+  const player = AudioPlayer.instances.find(instance => versionEl.contains(instance.playerEl));
+  if (!player) return;
+
+  const timeInput = versionEl.querySelector('.review-time-input');
+  const timeValue = versionEl.querySelector('.review-time-value');
+  const comments = versionEl.querySelectorAll('.review-comment');
+
+  const setCommentTime = (time) => {
+    timeInput.value = time.toFixed(1);
+    timeValue.textContent = player.formatTime(time);
+  };
+
+  const seek = (time) => {
+    player.wavesurfer.setTime(time);
+    setCommentTime(time);
+  };
+
+  player.wavesurfer.on('interaction', setCommentTime);
+  player.wavesurfer.on('pause', () => setCommentTime(player.wavesurfer.getCurrentTime()));
+
+  versionEl.querySelectorAll('.review-time').forEach(button => {
+    button.addEventListener('click', () => seek(parseFloat(button.dataset.time)));
+  });
+
+  // One marker per comment on top of the waveform
+  player.wavesurfer.on('ready', (duration) => {
+    if (!duration) return;
+    comments.forEach(comment => {
+      const time = parseFloat(comment.dataset.time);
+      const marker = document.createElement('button');
+      marker.type = 'button';
+      marker.className = 'review-marker' + (comment.classList.contains('is-resolved') ? ' is-resolved' : '');
+      marker.style.left = `${Math.min(100, time / duration * 100)}%`;
+      marker.title = player.formatTime(time);
+      marker.addEventListener('click', (e) => {
+        e.stopPropagation();
+        seek(time);
+        comment.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      });
+      player.waveformEl.appendChild(marker);
+    });
+  });
+}
+
+/**
+ * Remember the commenter's name between visits
+ */
+function bindReviewName() {
+  const saved = localStorage.getItem(REVIEW_NAME_KEY) || '';
+  document.querySelectorAll('.review-name-input').forEach(input => {
+    input.value = saved;
+    input.addEventListener('change', () => {
+      localStorage.setItem(REVIEW_NAME_KEY, input.value.trim());
+    });
+  });
+}
@@ -0,0 +1,200 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const escapeHtml = require('escape-html');
+const reviews = require('../lib/reviews');
+const { logActivity } = require('../lib/activity');
+const { writePeaksFile } = require('../lib/waveform');
+const { AUDIO_FORMATS, EXTENSIONS, uploadStorage, checkUpload, renameUpload } = require('../lib/uploads');
+
+// Mounted on /admin/reviews by routes/admin.js (behind admin auth)
+const router = express.Router();
+
+// Multer config for review versions (checked by content in the route, then given
+// a random name: review files are only reachable through the project link)
+const versionUpload = multer({
+  storage: uploadStorage(reviews.REVIEWS_DIR),
+  limits: { fileSize: 50 * 1024 * 1024 } // 50MB
+});
+
+function projectUrl(projectId, query) {
+  return `/admin/reviews/${encodeURIComponent(projectId)}?${query}`;
+}
+
+// Names used in the activity log
+function projectLabel(project) {
+  return `${project.client} - ${project.title}`;
+}
+
+function songTitle(projectId, songId) {
+  const song = reviews.getProject(projectId)?.songs.find(s => s.id === songId);
+  return song ? song.title : songId;
+}
+
+function songLabel(projectId, title) {
+  const project = reviews.getProject(projectId);
+  return project ? `${projectLabel(project)} / ${title}` : title;
+}
+
+function commentLabel(projectId, comment) {
+  const project = reviews.getProject(projectId);
+  return `Comment by ${comment.name} at ${Math.floor(comment.time / 60)}:${String(Math.floor(comment.time % 60)).padStart(2, '0')}${project ? ` on ${projectLabel(project)}` : ''}`;
+}
+
+// Projects list
+router.get('/', (req, res) => {
+  const projects = reviews.listProjects().map(project => ({
+    ...project,
+    openComments: reviews.countOpenComments(project)
+  }));
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  res.render('admin/reviews', { projects, escapeHtml, message, error, page: 'reviews' });
+});
+
+// Create project
+router.post('/', async (req, res) => {
+  const client = (req.body.client || '').trim();
+  const title = (req.body.title || '').trim();
+
+  if (!client || !title) {
+    return res.redirect('/admin/reviews?error=Client and project title are required');
+  }
+
+  const project = await reviews.createProject({ client, title });
+  await logActivity(req, 'review.project-create', { target: projectLabel(project) });
+  res.redirect(projectUrl(project.id, 'message=Project created'));
+});
+
+// Project detail: songs, versions and comments
+router.get('/:id', (req, res) => {
+  const project = reviews.getProject(req.params.id);
+  if (!project) {
+    return res.redirect('/admin/reviews?error=Project not found');
+  }
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  const reviewUrl = `${req.protocol}://${req.get('host')}/review/${project.token}`;
+  res.render('admin/review', { project, reviewUrl, escapeHtml, message, error, page: 'reviews' });
+});
+
+// Delete project with all its files
+router.post('/:id/delete', async (req, res) => {
+  const project = reviews.getProject(req.params.id);
+  if (!await reviews.deleteProject(req.params.id)) {
+    return res.redirect('/admin/reviews?error=Project not found');
+  }
+  await logActivity(req, 'review.project-delete', {
+    target: projectLabel(project), before: { songs: project.songs.map(song => song.title).join(', ') }
+  });
+  res.redirect('/admin/reviews?message=Project deleted');
+});
+
+// Replace the client link (the previous one stops working)
+router.post('/:id/token', async (req, res) => {
+  const project = await reviews.regenerateToken(req.params.id);
+  if (!project) {
+    return res.redirect('/admin/reviews?error=Project not found');
+  }
+  await logActivity(req, 'review.token-regenerate', { target: projectLabel(project) });
+  res.redirect(projectUrl(req.params.id, 'message=New client link generated'));
+});
+
+// Add song
+router.post('/:id/songs', async (req, res) => {
+  const title = (req.body.title || '').trim();
+  if (!title) {
+    return res.redirect(projectUrl(req.params.id, 'error=Song title is required'));
+  }
+  if (!await reviews.addSong(req.params.id, title)) {
+    return res.redirect('/admin/reviews?error=Project not found');
+  }
+  await logActivity(req, 'review.song-add', { target: songLabel(req.params.id, title) });
+  res.redirect(projectUrl(req.params.id, 'message=Song added'));
+});
+
+// Delete song and its versions
+router.post('/:id/songs/:songId/delete', async (req, res) => {
+  const song = await reviews.deleteSong(req.params.id, req.params.songId);
+  if (!song) {
+    return res.redirect(projectUrl(req.params.id, 'error=Song not found'));
+  }
+  await logActivity(req, 'review.song-delete', {
+    target: songLabel(req.params.id, song.title), before: { versions: song.versions.length }
+  });
+  res.redirect(projectUrl(req.params.id, 'message=Song deleted'));
+});
+
+// Upload a new version of a song
+router.post('/:id/songs/:songId/versions', versionUpload.single('audio'), async (req, res) => {
+  if (!req.file) {
+    return res.redirect(projectUrl(req.params.id, 'error=No file uploaded'));
+  }
+  const format = await checkUpload(req.file, AUDIO_FORMATS);
+  await renameUpload(req.file, `${crypto.randomBytes(12).toString('hex')}${EXTENSIONS[format]}`);
+
+  let peaks = null;
+  try {
+    peaks = await writePeaksFile(req.file.path);
+  } catch (e) {
+    console.error(`Failed to generate peaks for ${req.file.filename}:`, e.message);
+  }
+
+  const version = await reviews.addVersion(req.params.id, req.params.songId, {
+    filename: req.file.filename,
+    peaks,
+    notes: (req.body.notes || '').trim()
+  });
+
+  if (!version) {
+    reviews.deleteFiles([req.file.filename, peaks]);
+    return res.redirect(projectUrl(req.params.id, 'error=Song not found'));
+  }
+  await logActivity(req, 'review.version-upload', {
+    target: songLabel(req.params.id, songTitle(req.params.id, req.params.songId)), after: { version: version.label, file: req.file.originalname }
+  });
+
+  res.redirect(projectUrl(req.params.id, `message=${encodeURIComponent(version.label + ' uploaded')}`));
+});
+
+// Delete a version and its comments
+router.post('/:id/versions/:versionId/delete', async (req, res) => {
+  const project = reviews.getProject(req.params.id);
+  const found = project && reviews.findVersion(project, req.params.versionId);
+  if (!await reviews.deleteVersion(req.params.id, req.params.versionId)) {
+    return res.redirect(projectUrl(req.params.id, 'error=Version not found'));
+  }
+  await logActivity(req, 'review.version-delete', {
+    target: songLabel(req.params.id, found.song.title), before: { version: found.version.label, comments: found.version.comments.length }
+  });
+  res.redirect(projectUrl(req.params.id, 'message=Version deleted'));
+});
+
+// Answer a comment
+router.post('/:id/comments/:commentId/reply', async (req, res) => {
+  const text = (req.body.text || '').trim();
+  if (!text || text.length > 2000) {
+    return res.redirect(projectUrl(req.params.id, 'error=Reply must be 1 to 2000 characters'));
+  }
+  const comment = await reviews.replyToComment(req.params.id, req.params.commentId, text);
+  if (!comment) {
+    return res.redirect(projectUrl(req.params.id, 'error=Comment not found'));
+  }
+  await logActivity(req, 'review.comment-reply', { target: commentLabel(req.params.id, comment), after: { reply: text } });
+  res.redirect(projectUrl(req.params.id, 'message=Reply sent'));
+});
+
+// Mark a comment resolved / open again
+router.post('/:id/comments/:commentId/resolve', async (req, res) => {
+  const resolved = req.body.resolved === '1';
+  const comment = await reviews.setCommentResolved(req.params.id, req.params.commentId, resolved);
+  if (!comment) {
+    return res.redirect(projectUrl(req.params.id, 'error=Comment not found'));
+  }
+  await logActivity(req, 'review.comment-resolve', {
+    target: commentLabel(req.params.id, comment), after: { status: resolved ? 'resolved' : 'open' }
+  });
+  res.redirect(projectUrl(req.params.id, `message=Comment ${resolved ? 'resolved' : 'reopened'}`));
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const escapeHtml = require('escape-html');
+const languages = require('../lib/languages');
+const sections = require('../lib/sections');
+const { changes, logActivity } = require('../lib/activity');
+
+// Mounted on /admin/sections by routes/admin.js (behind admin auth)
+const router = express.Router();
+
+function sectionUrl(id, query) {
+  return `/admin/sections/${encodeURIComponent(id)}?${query}`;
+}
+
+function label(section) {
+  return sections.sectionLabel(section, languages.loadLanguages().default);
+}
+
+// Section list with the add form
+router.get('/', (req, res) => {
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  res.render('admin/sections', {
+    sections: sections.listSections(), types: sections.SECTION_TYPES, placements: sections.PLACEMENTS,
+    defaultLanguage: languages.loadLanguages().default, label, escapeHtml, message, error, page: 'sections'
+  });
+});
+
+// New section: created hidden, then filled in on its edit page
+router.post('/', async (req, res) => {
+  const { type, placement } = req.body;
+  const title = (req.body.title || '').trim().slice(0, 200);
+  if (!sections.SECTION_TYPES[type]) {
+    return res.redirect('/admin/sections?error=Unknown section type');
+  }
+
+  const site = languages.loadLanguages();
+  const section = await sections.createSection(type, title ? { [site.default]: title } : {}, placement);
+  await logActivity(req, 'section.create', { target: label(section), after: { type: sections.SECTION_TYPES[type] } });
+  res.redirect(sectionUrl(section.id, 'message=Section created, it stays hidden until you show it'));
+});
+
+// Edit page: title and content in every language
+router.get('/:id', (req, res) => {
+  const section = sections.getSection(req.params.id);
+  if (!section) {
+    return res.redirect('/admin/sections?error=Section not found');
+  }
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  res.render('admin/section', {
+    section, types: sections.SECTION_TYPES, placements: sections.PLACEMENTS, itemFields: sections.ITEM_FIELDS,
+    languages: languages.loadLanguages().languages, label, escapeHtml, message, error, page: 'sections'
+  });
+});
+
+router.post('/:id', async (req, res) => {
+  const current = sections.getSection(req.params.id);
+  if (!current) {
+    return res.redirect('/admin/sections?error=Section not found');
+  }
+
+  const fields = sections.sectionFields(current.type, req.body, languages.languageCodes());
+  const updated = await sections.updateSection(req.params.id, fields);
+  if (!updated) {
+    return res.redirect('/admin/sections?error=Section not found');
+  }
+  const { before, after } = changes(updated.previous, updated.section, Object.keys(fields));
+  if (after) await logActivity(req, 'section.update', { target: label(updated.section), before, after });
+  res.redirect(sectionUrl(req.params.id, 'message=Section saved'));
+});
+
+// Move one place up or down
+router.post('/:id/move', async (req, res) => {
+  const moved = await sections.moveSection(req.params.id, req.body.direction);
+  if (moved === null) {
+    return res.redirect('/admin/sections?error=Section not found');
+  }
+  if (moved) {
+    await logActivity(req, 'section.reorder', { target: label(moved.section), before: { position: moved.from }, after: { position: moved.to } });
+  }
+  res.redirect('/admin/sections');
+});
+
+// Show or hide on the public page
+router.post('/:id/visibility', async (req, res) => {
+  const hidden = req.body.hidden === 'true';
+  const updated = await sections.updateSection(req.params.id, { hidden });
+  if (!updated) {
+    return res.redirect('/admin/sections?error=Section not found');
+  }
+  if (updated.previous.hidden !== hidden) {
+    await logActivity(req, 'section.visibility', {
+      target: label(updated.section), before: { hidden: Boolean(updated.previous.hidden) }, after: { hidden }
+    });
+  }
+  res.redirect(`/admin/sections?message=${encodeURIComponent(hidden ? 'Section hidden' : 'Section shown on the site')}`);
+});
+
+router.post('/:id/delete', async (req, res) => {
+  const removed = await sections.deleteSection(req.params.id);
+  if (!removed) {
+    return res.redirect('/admin/sections?error=Section not found');
+  }
+  await logActivity(req, 'section.delete', { target: label(removed), before: { type: sections.SECTION_TYPES[removed.type] } });
+  res.redirect('/admin/sections?message=Section deleted');
+});
+
+module.exports = router;
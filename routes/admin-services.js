@@ -0,0 +1,128 @@
+const express = require('express');
+const escapeHtml = require('escape-html');
+const languages = require('../lib/languages');
+const services = require('../lib/services');
+const quote = require('../lib/quote');
+const { changes, logActivity } = require('../lib/activity');
+
+// Mounted on /admin/services by routes/admin.js (behind admin auth, owners only)
+const router = express.Router();
+
+const SERVICE_FIELDS = ['name', 'description', 'pricing', 'price', 'active'];
+
+function label(service) {
+  return services.serviceLabel(service, languages.loadLanguages().default);
+}
+
+// Catalog with the add and currency forms
+router.get('/', (req, res) => {
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  const currency = services.getCurrency();
+  const defaultLanguage = languages.loadLanguages().default;
+  res.render('admin/services', {
+    services: services.listServices(), currency, pricings: services.PRICINGS, quote: quote.quoteSettings(), maxSongs: quote.MAX_SONGS,
+    formatPrice: price => services.formatPrice(price, currency, defaultLanguage),
+    defaultLanguage, label, escapeHtml, message, error, page: 'services'
+  });
+});
+
+router.post('/', async (req, res) => {
+  const { fields, error } = services.serviceFields(req.body, languages.languageCodes());
+  if (error) {
+    return res.redirect(`/admin/services?error=${encodeURIComponent(error)}`);
+  }
+  const service = await services.createService(fields, languages.loadLanguages().default);
+  await logActivity(req, 'service.create', { target: label(service), after: { id: service.id, active: service.active } });
+  res.redirect(`/admin/services?message=${encodeURIComponent('Service added, edit it to write its description')}`);
+});
+
+// Currency of every price (ISO code such as EUR or USD)
+router.post('/currency', async (req, res) => {
+  const currency = (req.body.currency || '').trim().toUpperCase();
+  if (!services.isValidCurrency(currency)) {
+    return res.redirect('/admin/services?error=Unknown currency code');
+  }
+  const previous = await services.setCurrency(currency);
+  if (previous) {
+    await logActivity(req, 'service.currency', { before: { currency: previous }, after: { currency } });
+  }
+  res.redirect('/admin/services?message=Currency saved');
+});
+
+// Discounts and rush fee of the contact form estimate
+router.post('/quote', async (req, res) => {
+  const { fields, error } = quote.quoteFields(req.body, services.serviceIds());
+  if (error) {
+    return res.redirect(`/admin/services?error=${encodeURIComponent(error)}`);
+  }
+  const previous = await quote.setQuoteSettings(fields);
+  const { before, after } = changes(previous, fields, ['volume', 'bundles', 'rushPercent']);
+  if (after) await logActivity(req, 'service.quote', { before, after });
+  res.redirect('/admin/services?message=Quote rates saved');
+});
+
+// Edit page: name and description in every language, price, active flag
+router.get('/:id', (req, res) => {
+  const service = services.getService(req.params.id);
+  if (!service) {
+    return res.redirect('/admin/services?error=Service not found');
+  }
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  res.render('admin/service', {
+    service, pricings: services.PRICINGS, currency: services.getCurrency(),
+    languages: languages.loadLanguages().languages, label, escapeHtml, message, error, page: 'services'
+  });
+});
+
+router.post('/:id', async (req, res) => {
+  const serviceUrl = `/admin/services/${encodeURIComponent(req.params.id)}`;
+  const { fields, error } = services.serviceFields(req.body, languages.languageCodes());
+  if (error) {
+    return res.redirect(`${serviceUrl}?error=${encodeURIComponent(error)}`);
+  }
+  const updated = await services.updateService(req.params.id, fields);
+  if (!updated) {
+    return res.redirect('/admin/services?error=Service not found');
+  }
+  const { before, after } = changes(updated.previous, updated.service, SERVICE_FIELDS);
+  if (after) await logActivity(req, 'service.update', { target: label(updated.service), before, after });
+  res.redirect(`${serviceUrl}?message=Service saved`);
+});
+
+// Move one place up or down (order of the public section and the contact form)
+router.post('/:id/move', async (req, res) => {
+  const moved = await services.moveService(req.params.id, req.body.direction);
+  if (moved === null) {
+    return res.redirect('/admin/services?error=Service not found');
+  }
+  if (moved) {
+    await logActivity(req, 'service.reorder', { target: label(moved.service), before: { position: moved.from }, after: { position: moved.to } });
+  }
+  res.redirect('/admin/services');
+});
+
+// Offer or withdraw a service without losing it
+router.post('/:id/active', async (req, res) => {
+  const active = req.body.active === 'true';
+  const updated = await services.updateService(req.params.id, { active });
+  if (!updated) {
+    return res.redirect('/admin/services?error=Service not found');
+  }
+  if (updated.previous.active !== active) {
+    await logActivity(req, 'service.update', { target: label(updated.service), before: { active: updated.previous.active }, after: { active } });
+  }
+  res.redirect(`/admin/services?message=${encodeURIComponent(active ? 'Service offered on the site' : 'Service withdrawn from the site')}`);
+});
+
+router.post('/:id/delete', async (req, res) => {
+  const removed = await services.deleteService(req.params.id);
+  if (!removed) {
+    return res.redirect('/admin/services?error=Service not found');
+  }
+  await logActivity(req, 'service.delete', { target: label(removed), before: { id: removed.id } });
+  res.redirect('/admin/services?message=Service deleted');
+});
+
+module.exports = router;
@@ -4,17 +4,41 @@ const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 const rateLimit = require('express-rate-limit');
+const escapeHtml = require('escape-html');
+const store = require('../lib/store');
+const sessions = require('../lib/sessions');
+const users = require('../lib/users');
+const apiTokens = require('../lib/api-tokens');
+const backup = require('../lib/backup');
+const { ACTIONS, RETENTION_DAYS, changes, logActivity, findActivity, activityUsers } = require('../lib/activity');
+const { sign, verify } = require('../lib/signing');
+const {
+  STATUSES, QUARANTINE_DAYS, updateInquiry, findInquiries, quarantineCount, deleteInquiry, clearQuarantine
+} = require('../lib/inquiries');
+const { createShare, revokeShare, revokeSharesFor, activeSharesByTrack } = require('../lib/shares');
+const { trackFiles } = require('../lib/tracks');
+const { diffHunks } = require('../lib/diff');
+const languages = require('../lib/languages');
+const { TRANSLATION_KEY, flatten, unflatten, translationRows } = require('../lib/locales');
+const { SITE_NAME, siteUrl } = require('../lib/seo');
+const { serviceIds, serviceNames, formatPrice } = require('../lib/services');
+const {
+  WORK_DIR, PRIVATE_DIR, COVERS_DIR, AUDIO_MAX_SIZE, audioUpload,
+  isSafeFilename, deleteCover, trackDir, deleteWorkFile, deleteUnsharedFiles, generateTrackPeaks, parseLinks, pickLocalized,
+  trackLabel, pickTrackFields, reloadTracks, addUploadedTrack, updateTrack, deleteTrack, setTrackOrder
+} = require('../lib/work');
+const {
+  profileUpload, galleryUpload, profilePhotoPath, setProfilePhoto, listImages, addImage, updateImageAlt, moveImage, deleteImage
+} = require('../lib/media');
+const {
+  AUDIO_FORMATS, UploadError, uploadStorage, checkUpload, uniqueName, renameUpload, discardUploads
+} = require('../lib/uploads');
+const reviewsRouter = require('./admin-reviews');
+const sectionsRouter = require('./admin-sections');
+const servicesRouter = require('./admin-services');
 
 const router = express.Router();
 
-// Paths
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const LOCALES_DIR = path.join(DATA_DIR, 'locales');
-const IMAGES_DIR = path.join(DATA_DIR, 'images');
-const WORK_DIR = path.join(__dirname, '..', 'public', 'work');
-const BIO_PATH = path.join(DATA_DIR, 'bio.json');
-const TRACKS_PATH = path.join(DATA_DIR, 'tracks.json');
-
 // Rate limiting for admin routes
 // 100 requests per minute - generous for normal usage, still blocks brute-force
 const adminLimiter = rateLimit({
@@ -27,132 +51,262 @@ const adminLimiter = rateLimit({
 
 router.use(adminLimiter);
 
-// HTTP Basic Auth middleware with timing-safe comparison
-function basicAuth(req, res, next) {
-  const adminUser = process.env.ADMIN_USER || 'admin';
-  const adminPass = process.env.ADMIN_PASS;
+// Login attempts per IP: 10 per 15 minutes, successful logins do not count
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: 'Too many login attempts, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Login form token: lets only forms served by this site log in (valid one hour)
+const LOGIN_FORM_PURPOSE = 'admin-login';
+const LOGIN_FORM_LIFETIME = 60 * 60 * 1000;
+
+// Methods that never change anything, all others need the CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Where to go after login: a local admin page only
+function safeNext(next) {
+  return typeof next === 'string' && next.startsWith('/admin/') && !next.startsWith('/admin/login') &&
+    !/[\\\r\n]/.test(next) ? next : '/admin/about';
+}
+
+function renderLogin(req, res, status, error) {
+  const next = safeNext(req.body?.next || req.query.next);
+  const formToken = sign(LOGIN_FORM_PURPOSE, { exp: Date.now() + LOGIN_FORM_LIFETIME });
+  const message = req.query.message || null;
+  res.status(status).render('admin/login', { next, formToken, message, error });
+}
 
-  if (!adminPass) {
-    console.error('ADMIN_PASS environment variable not set');
+// Login page
+router.get('/login', (req, res) => {
+  if (sessions.findSession(req)) {
+    return res.redirect(safeNext(req.query.next));
+  }
+  renderLogin(req, res, 200, req.query.error || null);
+});
+
+router.post('/login', loginLimiter, express.urlencoded({ extended: false }), async (req, res) => {
+  if (users.listUsers().length === 0 && !process.env.ADMIN_PASS) {
+    console.error('No admin user yet: set ADMIN_PASS to create the owner account on first login');
+    return res.status(500).send('Server configuration error');
+  }
+  if (users.listUsers().length === 0 && !users.bootstrapUsername()) {
+    console.error(`ADMIN_USER "${process.env.ADMIN_USER}" cannot be a username: use 2 to 32 letters, digits, ".", "_" or "-", starting with a letter or digit`);
     return res.status(500).send('Server configuration error');
   }
 
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
-    res.setHeader('WWW-Authenticate', 'Basic realm="Admin"');
-    return res.status(401).send('Authentication required');
+  const form = verify(LOGIN_FORM_PURPOSE, req.body.formToken);
+  if (!form || form.exp < Date.now()) {
+    return renderLogin(req, res, 403, 'The login form expired, please try again');
   }
 
-  const base64Credentials = authHeader.split(' ')[1];
-  const credentials = Buffer.from(base64Credentials, 'base64').toString('utf8');
-  const [user, pass] = credentials.split(':');
+  const { user: username, pass } = req.body;
+  const user = typeof username === 'string' && typeof pass === 'string' ? await users.authenticate(username, pass) : null;
+  if (!user) {
+    await logActivity(req, 'auth.login-failed', { user: typeof username === 'string' ? username.trim().slice(0, 64) : '' });
+    return renderLogin(req, res, 401, 'Invalid username or password');
+  }
 
-  // Timing-safe comparison (pad to same length to avoid leaking length info)
-  const userInput = user || '';
-  const passInput = pass || '';
-  const maxUserLen = Math.max(userInput.length, adminUser.length);
-  const maxPassLen = Math.max(passInput.length, adminPass.length);
+  // A fresh session id on every login (no session fixation)
+  const session = await sessions.createSession(user.username);
+  sessions.setSessionCookie(req, res, session);
+  await logActivity(req, 'auth.login', { user: user.username });
+  res.redirect(safeNext(req.body.next));
+});
 
-  const userBuffer = Buffer.alloc(maxUserLen, 0);
-  const expectedUserBuffer = Buffer.alloc(maxUserLen, 0);
-  const passBuffer = Buffer.alloc(maxPassLen, 0);
-  const expectedPassBuffer = Buffer.alloc(maxPassLen, 0);
+// Invite and password reset links: choose a new password
+router.get('/password/:token', (req, res) => {
+  const user = users.findByLinkToken(req.params.token);
+  res.status(user ? 200 : 404).render('admin/password', {
+    user, token: req.params.token, minLength: users.MIN_PASSWORD_LENGTH, error: user ? null : 'This link is invalid or has expired'
+  });
+});
 
-  Buffer.from(userInput).copy(userBuffer);
-  Buffer.from(adminUser).copy(expectedUserBuffer);
-  Buffer.from(passInput).copy(passBuffer);
-  Buffer.from(adminPass).copy(expectedPassBuffer);
+router.post('/password/:token', loginLimiter, express.urlencoded({ extended: false }), async (req, res) => {
+  const user = users.findByLinkToken(req.params.token);
+  const render = error => res.status(user ? 400 : 404).render('admin/password', {
+    user, token: req.params.token, minLength: users.MIN_PASSWORD_LENGTH, error
+  });
+  if (!user) return render('This link is invalid or has expired');
 
-  const userMatch = crypto.timingSafeEqual(userBuffer, expectedUserBuffer) &&
-    userInput.length === adminUser.length;
-  const passMatch = crypto.timingSafeEqual(passBuffer, expectedPassBuffer) &&
-    passInput.length === adminPass.length;
+  const { password, confirm } = req.body;
+  if (typeof password !== 'string' || password.length < users.MIN_PASSWORD_LENGTH) {
+    return render(`Passwords need at least ${users.MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (password !== confirm) return render('The two passwords do not match');
 
-  if (userMatch && passMatch) {
-    return next();
+  if (!await users.setPasswordFromLink(req.params.token, password)) {
+    return render('This link is invalid or has expired');
   }
+  // Sessions opened with the old password end here
+  await sessions.destroyUserSessions(user.username);
+  await logActivity(req, 'auth.password-set', { user: user.username, target: user.username });
+  res.redirect('/admin/login?message=Password saved, you can now log in');
+});
 
-  res.setHeader('WWW-Authenticate', 'Basic realm="Admin"');
-  return res.status(401).send('Invalid credentials');
+// Every other admin page needs an active session of an enabled user
+async function requireLogin(req, res, next) {
+  const session = sessions.findSession(req);
+  const user = session ? users.findUser(session.user) : null;
+  if (!user || user.disabled) {
+    if (session) await sessions.destroySession(session.id);
+    sessions.clearSessionCookie(req, res);
+    if (req.method === 'GET') {
+      return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    return res.redirect('/admin/login?error=Your session expired, please log in again');
+  }
+  await sessions.touchSession(session);
+  req.session = session;
+  req.user = user;
+  next();
+}
+
+// Role check for a route: editors only manage content (bio, translations, SEO)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.user.role === role) return next();
+    res.status(403).send('This page is only available to site owners.');
+  };
 }
 
-router.use(basicAuth);
+const ownerOnly = requireRole('owner');
 
-// Multer config for image uploads
-const imageStorage = multer.diskStorage({
-  destination: IMAGES_DIR,
-  filename: (req, file, cb) => {
-    cb(null, 'profile.webp');
-  }
-});
+// Forms send the token as a _csrf field (in the query string for multipart
+// forms, whose body is only read by multer inside the route), scripts as a header
+function csrfProtection(req, res, next) {
+  res.locals.csrfToken = req.session.csrf;
+  res.locals.adminUser = req.user;
+  if (SAFE_METHODS.includes(req.method)) return next();
 
-const imageUpload = multer({
-  storage: imageStorage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
-  fileFilter: (req, file, cb) => {
-    const allowed = ['image/webp', 'image/jpeg', 'image/png', 'image/gif'];
-    if (allowed.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Allowed: webp, jpeg, png, gif'));
-    }
+  const token = req.get('x-csrf-token') || req.body?._csrf || req.query._csrf;
+  if (!sessions.checkCsrf(req.session, token)) {
+    return res.status(403).send('Invalid or missing security token. Go back, reload the page and try again.');
   }
+  next();
+}
+
+router.use(requireLogin);
+// Form bodies of all admin routes, parsed here so the CSRF check can read them
+router.use(express.urlencoded({ extended: true, parameterLimit: 20000 }));
+router.use(csrfProtection);
+
+// Logout: ends the session server side
+router.post('/logout', async (req, res) => {
+  await sessions.destroySession(req.session.id);
+  sessions.clearSessionCookie(req, res);
+  await logActivity(req, 'auth.logout');
+  res.redirect('/admin/login?message=You are logged out');
 });
 
-// Multer config for audio uploads
-const audioStorage = multer.diskStorage({
-  destination: WORK_DIR,
-  filename: (req, file, cb) => {
-    // Sanitize filename
-    const safeName = file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_');
-    cb(null, safeName);
-  }
+// Multer configs for image and audio uploads: stored under a temporary name,
+// then checked by content and renamed in the route (see lib/uploads.js)
+
+// Track cover art
+const COVER_FORMATS = ['webp', 'jpeg', 'png'];
+
+const coverUpload = multer({
+  storage: uploadStorage(COVERS_DIR),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB
 });
 
-const audioUpload = multer({
-  storage: audioStorage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
-  fileFilter: (req, file, cb) => {
-    const allowed = ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/mp4', 'audio/flac', 'audio/x-flac'];
-    if (allowed.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Allowed: mp3, wav, ogg, m4a, flac'));
-    }
-  }
+// "Before" (raw) versions get a prefix so they are easy to tell from main track files
+const beforeUpload = multer({
+  storage: uploadStorage(WORK_DIR),
+  limits: { fileSize: AUDIO_MAX_SIZE }
 });
 
-// Helper functions
-function loadJson(filepath) {
-  try {
-    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
-  } catch (e) {
-    return null;
-  }
-}
+// Files per upload request (the form accepts several, the script sends one at a time)
+const MAX_UPLOAD_FILES = 20;
 
-function saveJson(filepath, data) {
-  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+// Helper functions
+// Move files between public/work and data/private
+function moveFiles(filenames, fromDir, toDir) {
+  fs.mkdirSync(toDir, { recursive: true });
+  filenames.forEach(filename => {
+    const from = path.join(fromDir, filename);
+    const to = path.join(toDir, filename);
+    if (!fs.existsSync(from)) return;
+    try {
+      fs.renameSync(from, to);
+    } catch (e) {
+      // data/ may be on another volume
+      if (e.code !== 'EXDEV') throw e;
+      fs.copyFileSync(from, to);
+      fs.unlinkSync(from);
+    }
+  });
 }
 
-function loadTracksJson() {
-  try {
-    return JSON.parse(fs.readFileSync(TRACKS_PATH, 'utf8'));
-  } catch (e) {
-    return { tracks: [] };
+// Technical summary for the admin list, e.g. "WAV · 3:24 · 44.1 kHz · 24-bit · stereo · 2117 kbps"
+function formatAudioInfo(audio) {
+  if (!audio) return '';
+  const parts = [audio.format.toUpperCase()];
+  if (audio.duration) {
+    const minutes = Math.floor(audio.duration / 60);
+    const seconds = Math.floor(audio.duration % 60);
+    parts.push(`${minutes}:${String(seconds).padStart(2, '0')}`);
   }
+  if (audio.sampleRate) parts.push(`${audio.sampleRate / 1000} kHz`);
+  if (audio.bitDepth) parts.push(`${audio.bitDepth}-bit`);
+  if (audio.channels) parts.push(audio.channels === 1 ? 'mono' : audio.channels === 2 ? 'stereo' : `${audio.channels} ch`);
+  if (audio.bitrate) parts.push(`${Math.round(audio.bitrate / 1000)} kbps`);
+  return parts.join(' · ');
 }
 
-function saveTracksJson(data) {
-  fs.writeFileSync(TRACKS_PATH, JSON.stringify(data, null, 2));
+// A tracks.json revision may predate deletions, uploads or visibility changes:
+// keep only tracks whose audio is still on disk, follow where the files are now,
+// drop references to files removed since and append tracks uploaded since,
+// so no uploaded file ends up unlisted.
+function reconcileTracks(revisionTracks, currentTracks) {
+  const tracks = [];
+  let skipped = 0;
+
+  revisionTracks.forEach(track => {
+    const restored = { ...track };
+    const current = currentTracks.find(t => t.filename === track.filename);
+    const isPrivate = current
+      ? Boolean(current.private)
+      : !fs.existsSync(path.join(WORK_DIR, track.filename)) && fs.existsSync(path.join(PRIVATE_DIR, track.filename));
+
+    if (isPrivate) {
+      restored.private = true;
+    } else {
+      delete restored.private;
+    }
+    if (!fs.existsSync(path.join(trackDir(restored), restored.filename))) {
+      skipped++;
+      return;
+    }
+
+    ['peaks', 'before', 'beforePeaks'].forEach(key => {
+      if (restored[key] && !fs.existsSync(path.join(trackDir(restored), restored[key]))) {
+        delete restored[key];
+      }
+    });
+    if (restored.cover && !fs.existsSync(path.join(COVERS_DIR, restored.cover))) {
+      restored.cover = null;
+    }
+    tracks.push(restored);
+  });
+
+  const added = currentTracks.filter(t => !tracks.some(r => r.filename === t.filename));
+  return { tracks: [...tracks, ...added], skipped, added: added.length };
 }
 
-// Get reloadTracks from server.js (lazy-loaded to avoid circular dependency)
-function reloadTracks() {
-  const server = require('../server');
-  if (server && server.reloadTracks) {
-    server.reloadTracks();
-  }
+// Documents with a revision history the user may see and restore (the track list is for owners)
+function historyDocuments(user) {
+  return [
+    { name: 'bio', label: 'Bio' },
+    { name: 'tracks', label: 'Track list', ownerOnly: true },
+    { name: 'sections', label: 'Page sections' },
+    { name: 'services', label: 'Services', ownerOnly: true },
+    ...languages.languageCodes().map(lang => ({ name: `locales/${lang}`, label: `Translations (${lang.toUpperCase()})` }))
+  ].filter(doc => !doc.ownerOnly || user.role === 'owner');
 }
 
 // Routes
@@ -164,121 +318,389 @@ router.get('/', (req, res) => {
 
 // About page - edit bio and photo
 router.get('/about', (req, res) => {
-  const bio = loadJson(BIO_PATH) || { en: '', fr: '' };
+  const bio = store.read('bio');
   const message = req.query.message || null;
   const error = req.query.error || null;
-  res.render('admin/about', { bio, message, error, page: 'about' });
+  res.render('admin/about', {
+    bio, photo: profilePhotoPath(), languages: languages.loadLanguages().languages, escapeHtml, message, error, page: 'about'
+  });
 });
 
-// Save bio
-router.post('/about/bio', express.urlencoded({ extended: false }), (req, res) => {
-  const { bioEn, bioFr } = req.body;
-  const bio = {
-    en: (bioEn || '').trim(),
-    fr: (bioFr || '').trim()
-  };
-  saveJson(BIO_PATH, bio);
+// Save bio (one text per site language, bios of removed languages are kept)
+router.post('/about/bio', async (req, res) => {
+  const { before, after } = await store.update('bio', bio => {
+    const previous = { ...bio };
+    languages.languageCodes().forEach(lang => {
+      const text = req.body.bio?.[lang];
+      bio[lang] = typeof text === 'string' ? text.trim() : '';
+    });
+    return changes(previous, bio);
+  });
+  if (after) await logActivity(req, 'bio.update', { target: 'Bio', before, after });
   res.redirect('/admin/about?message=Bio saved successfully');
 });
 
 // Upload photo
-router.post('/about/photo', imageUpload.single('photo'), (req, res) => {
+router.post('/about/photo', profileUpload.single('photo'), async (req, res) => {
   if (!req.file) {
     return res.redirect('/admin/about?error=No file uploaded');
   }
+  await setProfilePhoto(req.file);
+  await logActivity(req, 'photo.update', { target: 'Profile photo', after: { file: req.file.originalname, size: req.file.size } });
   res.redirect('/admin/about?message=Photo updated successfully');
 });
 
-// Work page - manage audio files
-router.get('/work', (req, res) => {
-  const tracksData = loadTracksJson();
+// Gallery page - images shown on the public page, in order
+router.get('/gallery', (req, res) => {
   const message = req.query.message || null;
   const error = req.query.error || null;
-  res.render('admin/work', { tracks: tracksData.tracks, message, error, page: 'work' });
+  res.render('admin/gallery', {
+    images: listImages(), languages: languages.loadLanguages().languages, escapeHtml, message, error, page: 'gallery'
+  });
 });
 
-// Upload audio
-router.post('/work/upload', audioUpload.single('audio'), (req, res) => {
-  if (!req.file) {
-    return res.redirect('/admin/work?error=No file uploaded');
+// Add images at the end of the gallery (not images or unreadable ones are skipped with an error)
+router.post('/gallery/upload', galleryUpload.array('images', MAX_UPLOAD_FILES), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.redirect('/admin/gallery?error=No file uploaded');
   }
 
-  // Add entry to tracks.json
-  const tracksData = loadTracksJson();
-  const filename = req.file.filename;
-  const title = path.basename(filename, path.extname(filename));
-
-  tracksData.tracks.push({ filename, title });
-  saveTracksJson(tracksData);
-  reloadTracks();
+  let added = 0;
+  const errors = [];
+  try {
+    for (const file of req.files) {
+      try {
+        const image = await addImage(file);
+        await logActivity(req, 'gallery.upload', { target: image.filename, after: { file: file.originalname } });
+        added++;
+      } catch (e) {
+        if (!(e instanceof UploadError)) throw e;
+        errors.push(e.message);
+      }
+    }
+  } finally {
+    discardUploads(req.files);
+  }
 
-  res.redirect('/admin/work?message=Track uploaded successfully');
+  const query = new URLSearchParams();
+  if (added > 0) query.set('message', added === 1 ? 'Image added' : `${added} images added`);
+  if (errors.length > 0) query.set('error', errors.join('; '));
+  res.redirect(`/admin/gallery?${query}`);
 });
 
-// Delete audio
-router.post('/work/delete', express.urlencoded({ extended: false }), (req, res) => {
+// Save the alt texts of an image (one per site language)
+router.post('/gallery/update', async (req, res) => {
   const { filename } = req.body;
+  const alt = {};
+  languages.languageCodes().forEach(lang => {
+    const text = req.body.alt?.[lang];
+    alt[lang] = typeof text === 'string' ? text.trim().slice(0, 300) : '';
+  });
+
+  const updated = isSafeFilename(filename) && await updateImageAlt(filename, alt);
+  if (!updated) {
+    return res.redirect('/admin/gallery?error=Image not found');
+  }
+  const { before, after } = changes(updated.previous, updated.image.alt);
+  if (after) await logActivity(req, 'gallery.update', { target: filename, before, after });
+  res.redirect('/admin/gallery?message=Alt text saved');
+});
 
-  // Path traversal protection
-  if (!filename || filename.includes('/') || filename.includes('\\') || filename.includes('..')) {
-    return res.redirect('/admin/work?error=Invalid filename');
+// Move an image one place up or down
+router.post('/gallery/reorder', async (req, res) => {
+  const { filename, direction } = req.body;
+  const moved = isSafeFilename(filename) && await moveImage(filename, direction);
+  if (moved === null) {
+    return res.redirect('/admin/gallery?error=Image not found');
+  }
+  if (moved) {
+    await logActivity(req, 'gallery.reorder', { target: filename, before: { position: moved.from }, after: { position: moved.to } });
   }
+  res.redirect('/admin/gallery');
+});
+
+// Remove an image from the gallery
+router.post('/gallery/delete', async (req, res) => {
+  const { filename } = req.body;
+  const removed = isSafeFilename(filename) && await deleteImage(filename);
+  if (!removed) {
+    return res.redirect('/admin/gallery?error=Image not found');
+  }
+  await logActivity(req, 'gallery.delete', { target: filename, before: { alt: removed.alt[languages.loadLanguages().default] || '' } });
+  res.redirect('/admin/gallery?message=Image deleted');
+});
+
+// Work page - manage audio files
+router.get('/work', ownerOnly, (req, res) => {
+  const tracksData = store.read('tracks');
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  const roleLabels = serviceNames(languages.loadLanguages().default);
+  res.render('admin/work', {
+    tracks: tracksData.tracks, languages: languages.languageCodes(), roles: serviceIds(), roleLabels, escapeHtml, formatAudioInfo,
+    shares: activeSharesByTrack(), siteUrl: `${req.protocol}://${req.get('host')}`, message, error, page: 'work'
+  });
+});
 
-  const filepath = path.join(WORK_DIR, filename);
+// Scripts (drag and drop upload, drag to reorder) ask for JSON instead of a redirect
+function wantsJson(req) {
+  return req.accepts(['html', 'json']) === 'json';
+}
 
-  // Ensure file is within WORK_DIR
-  if (!filepath.startsWith(WORK_DIR)) {
-    return res.redirect('/admin/work?error=Invalid path');
+// Upload audio: one or more files (the work page script sends them one by one for progress bars)
+router.post('/work/upload', ownerOnly, audioUpload.array('audio', MAX_UPLOAD_FILES), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    if (wantsJson(req)) return res.status(400).json({ error: 'No file uploaded' });
+    return res.redirect('/admin/work?error=No file uploaded');
   }
 
-  // Remove entry from tracks.json
-  const tracksData = loadTracksJson();
-  const index = tracksData.tracks.findIndex(t => t.filename === filename);
-  if (index === -1) {
-    return res.redirect('/admin/work?error=Track not found in database');
+  // Rejected files (not audio, already uploaded) don't stop the others
+  const tracks = [];
+  const errors = [];
+  try {
+    for (const file of req.files) {
+      try {
+        const track = await addUploadedTrack(file);
+        await logActivity(req, 'track.upload', { target: trackLabel(track), after: { title: track.title, file: file.originalname } });
+        tracks.push(track);
+      } catch (e) {
+        if (!(e instanceof UploadError)) throw e;
+        errors.push(e);
+      }
+    }
+  } finally {
+    discardUploads(req.files);
+    if (tracks.length > 0) reloadTracks();
   }
 
-  tracksData.tracks.splice(index, 1);
-  saveTracksJson(tracksData);
+  if (wantsJson(req)) {
+    if (tracks.length === 0) return res.status(errors[0].status).json({ error: errors.map(e => e.message).join('; ') });
+    return res.json({
+      tracks: tracks.map(t => ({ filename: t.filename, title: t.title })),
+      errors: errors.map(e => e.message)
+    });
+  }
+  const query = new URLSearchParams();
+  if (tracks.length > 0) query.set('message', tracks.length === 1 ? 'Track uploaded successfully' : `${tracks.length} tracks uploaded successfully`);
+  if (errors.length > 0) query.set('error', errors.map(e => e.message).join('; '));
+  res.redirect(`/admin/work?${query}`);
+});
 
-  // Delete the actual file
-  if (fs.existsSync(filepath)) {
-    fs.unlinkSync(filepath);
+// Delete audio
+router.post('/work/delete', ownerOnly, async (req, res) => {
+  const { filename } = req.body;
+
+  // Path traversal protection
+  if (!isSafeFilename(filename)) {
+    return res.redirect('/admin/work?error=Invalid filename');
+  }
+
+  const removed = await deleteTrack(filename);
+  if (!removed) {
+    return res.redirect('/admin/work?error=Track not found in database');
   }
 
   reloadTracks();
+  await logActivity(req, 'track.delete', { target: trackLabel(removed), before: pickTrackFields(removed) });
   res.redirect('/admin/work?message=Track deleted successfully');
 });
 
-// Update track title
-router.post('/work/update', express.urlencoded({ extended: false }), (req, res) => {
-  const { filename, title } = req.body;
+// Update track title and metadata (multipart for the optional cover image)
+router.post('/work/update', ownerOnly, coverUpload.single('cover'), async (req, res) => {
+  const { filename, title, client, genre, year, links, removeCover } = req.body;
+
+  if (req.file) {
+    const format = await checkUpload(req.file, COVER_FORMATS);
+    await renameUpload(req.file, uniqueName(req.file.originalname, format));
+  }
 
-  if (!filename || !title) {
+  if (!filename || !title || !title.trim()) {
+    if (req.file) deleteCover(req.file.filename);
     return res.redirect('/admin/work?error=Missing filename or title');
   }
 
   // Path traversal protection
   if (filename.includes('/') || filename.includes('\\') || filename.includes('..')) {
+    if (req.file) deleteCover(req.file.filename);
     return res.redirect('/admin/work?error=Invalid filename');
   }
 
-  const tracksData = loadTracksJson();
-  const track = tracksData.tracks.find(t => t.filename === filename);
+  const yearText = (year || '').trim();
+  const yearNumber = parseInt(yearText, 10);
+  if (yearText && (!/^\d{4}$/.test(yearText) || yearNumber < 1900 || yearNumber > 2100)) {
+    if (req.file) deleteCover(req.file.filename);
+    return res.redirect('/admin/work?error=Invalid release year');
+  }
+
+  const fields = {
+    title: title.trim(),
+    titles: pickLocalized(req.body.titles),
+    descriptions: pickLocalized(req.body.descriptions),
+    client: (client || '').trim(),
+    roles: [].concat(req.body.roles || []).filter(role => serviceIds().includes(role)),
+    genre: (genre || '').trim(),
+    year: yearText ? yearNumber : null,
+    links: parseLinks(links)
+  };
+  if (req.file || removeCover) fields.cover = req.file ? req.file.filename : null;
+
+  const updated = await updateTrack(filename, fields);
+  if (!updated) {
+    if (req.file) deleteCover(req.file.filename);
+    return res.redirect('/admin/work?error=Track not found');
+  }
+  const { track, previous } = updated;
+
+  if (fields.cover !== undefined) deleteCover(previous.cover);
+  reloadTracks();
+  const { before, after } = changes(previous, pickTrackFields(track));
+  if (after) await logActivity(req, 'track.update', { target: trackLabel(track), before, after });
+
+  res.redirect('/admin/work?message=Track updated successfully');
+});
+
+// Upload the "before" (unmixed) version of a track for the A/B player
+router.post('/work/before', ownerOnly, beforeUpload.single('audio'), async (req, res) => {
+  const { filename } = req.body;
+
+  if (!req.file) {
+    return res.redirect('/admin/work?error=No file uploaded');
+  }
+  const format = await checkUpload(req.file, AUDIO_FORMATS);
+  await renameUpload(req.file, uniqueName(req.file.originalname, format, 'before_'));
+
+  const peaks = await generateTrackPeaks(req.file.filename);
+
+  const track = await store.update('tracks', tracksData => {
+    const track = filename && tracksData.tracks.find(t => t.filename === filename);
+    if (!track) return null;
+
+    // Replacing an existing before file
+    deleteUnsharedFiles([track.before, track.beforePeaks], track, tracksData.tracks);
+    track.before = req.file.filename;
+    if (peaks) {
+      track.beforePeaks = peaks;
+    } else {
+      delete track.beforePeaks;
+    }
+
+    // Uploads land in public/work: keep private tracks private
+    if (track.private) {
+      moveFiles([track.before, track.beforePeaks].filter(Boolean), WORK_DIR, PRIVATE_DIR);
+    }
+    return track;
+  });
+
+  if (!track) {
+    deleteWorkFile(req.file.filename);
+    deleteWorkFile(peaks);
+    return res.redirect('/admin/work?error=Track not found');
+  }
+  reloadTracks();
+  await logActivity(req, 'track.before-upload', { target: trackLabel(track), after: { before: req.file.originalname } });
+
+  res.redirect('/admin/work?message=Before version uploaded successfully');
+});
+
+// Remove the "before" version of a track
+router.post('/work/before/delete', ownerOnly, async (req, res) => {
+  const { filename } = req.body;
+
+  let removedBefore = null;
+  const track = await store.update('tracks', tracksData => {
+    const track = filename && tracksData.tracks.find(t => t.filename === filename);
+    if (!track || !track.before) return null;
+
+    removedBefore = track.before;
+    deleteUnsharedFiles([track.before, track.beforePeaks], track, tracksData.tracks);
+    delete track.before;
+    delete track.beforePeaks;
+    return track;
+  });
 
   if (!track) {
     return res.redirect('/admin/work?error=Track not found');
   }
+  reloadTracks();
+  await logActivity(req, 'track.before-delete', { target: trackLabel(track), before: { before: removedBefore } });
 
-  track.title = title.trim();
-  saveTracksJson(tracksData);
+  res.redirect('/admin/work?message=Before version removed');
+});
+
+// Make a track private (files moved out of public/) or public again
+router.post('/work/visibility', ownerOnly, async (req, res) => {
+  const { filename } = req.body;
+  const makePrivate = req.body.private === '1';
+  let wasPrivate = false;
+
+  const track = await store.update('tracks', tracksData => {
+    const track = filename && tracksData.tracks.find(t => t.filename === filename);
+    if (!track) return null;
+    wasPrivate = Boolean(track.private);
+
+    if (Boolean(track.private) !== makePrivate) {
+      if (makePrivate) {
+        moveFiles(trackFiles(track), WORK_DIR, PRIVATE_DIR);
+        track.private = true;
+      } else {
+        moveFiles(trackFiles(track), PRIVATE_DIR, WORK_DIR);
+        delete track.private;
+      }
+    }
+    return track;
+  });
+
+  if (!track) {
+    return res.redirect('/admin/work?error=Track not found');
+  }
+
+  // Share links are pointless once the track is public
+  if (!makePrivate) {
+    await revokeSharesFor(track.filename);
+  }
   reloadTracks();
+  if (wasPrivate !== makePrivate) {
+    await logActivity(req, 'track.visibility', {
+      target: trackLabel(track), before: { visibility: wasPrivate ? 'private' : 'public' }, after: { visibility: makePrivate ? 'private' : 'public' }
+    });
+  }
+
+  res.redirect(`/admin/work?message=Track is now ${makePrivate ? 'private' : 'public'}`);
+});
+
+// Create an expiring share link for a private track
+router.post('/work/share', ownerOnly, async (req, res) => {
+  const { filename, expires, label } = req.body;
+
+  const track = filename && store.read('tracks').tracks.find(t => t.filename === filename);
+  if (!track || !track.private) {
+    return res.redirect('/admin/work?error=Only private tracks can be shared');
+  }
+
+  // Valid until the end of the chosen day, at most one year ahead
+  const expiresAt = new Date(`${expires}T23:59:59`);
+  const maxExpiry = Date.now() + 366 * 24 * 60 * 60 * 1000;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(expires || '') || isNaN(expiresAt) ||
+      expiresAt.getTime() <= Date.now() || expiresAt.getTime() > maxExpiry) {
+    return res.redirect('/admin/work?error=Expiry must be a date within the next year');
+  }
+
+  const share = await createShare(track.filename, expiresAt, (label || '').trim().slice(0, 100));
+  await logActivity(req, 'share.create', { target: trackLabel(track), after: { label: share.label, expiresAt: share.expiresAt } });
+  res.redirect('/admin/work?message=Share link created');
+});
 
-  res.redirect('/admin/work?message=Title updated successfully');
+// Revoke a share link
+router.post('/work/share/revoke', ownerOnly, async (req, res) => {
+  if (!await revokeShare(req.body.id)) {
+    return res.redirect('/admin/work?error=Share link not found');
+  }
+  await logActivity(req, 'share.revoke', { target: `Share link ${req.body.id}` });
+  res.redirect('/admin/work?message=Share link revoked');
 });
 
 // Reorder tracks (swap positions)
-router.post('/work/reorder', express.urlencoded({ extended: false }), (req, res) => {
+router.post('/work/reorder', ownerOnly, async (req, res) => {
   const { filename, direction } = req.body;
 
   if (!filename || !direction) {
@@ -290,58 +712,641 @@ router.post('/work/reorder', express.urlencoded({ extended: false }), (req, res)
     return res.redirect('/admin/work?error=Invalid filename');
   }
 
-  const tracksData = loadTracksJson();
-  const index = tracksData.tracks.findIndex(t => t.filename === filename);
+  // Resolves to null if the track is missing, false if it cannot move further
+  const moved = await store.update('tracks', tracksData => {
+    const index = tracksData.tracks.findIndex(t => t.filename === filename);
+    if (index === -1) return null;
+
+    let newIndex;
+    if (direction === 'up' && index > 0) {
+      newIndex = index - 1;
+    } else if (direction === 'down' && index < tracksData.tracks.length - 1) {
+      newIndex = index + 1;
+    } else {
+      return false;
+    }
+
+    // Swap positions
+    const temp = tracksData.tracks[index];
+    tracksData.tracks[index] = tracksData.tracks[newIndex];
+    tracksData.tracks[newIndex] = temp;
+    return { track: temp, before: { position: index + 1 }, after: { position: newIndex + 1 } };
+  });
 
-  if (index === -1) {
+  if (moved === null) {
     return res.redirect('/admin/work?error=Track not found');
   }
-
-  let newIndex;
-  if (direction === 'up' && index > 0) {
-    newIndex = index - 1;
-  } else if (direction === 'down' && index < tracksData.tracks.length - 1) {
-    newIndex = index + 1;
-  } else {
+  if (!moved) {
     return res.redirect('/admin/work');
   }
-
-  // Swap positions
-  const temp = tracksData.tracks[index];
-  tracksData.tracks[index] = tracksData.tracks[newIndex];
-  tracksData.tracks[newIndex] = temp;
-
-  saveTracksJson(tracksData);
   reloadTracks();
+  await logActivity(req, 'track.reorder', { target: trackLabel(moved.track), before: moved.before, after: moved.after });
 
   res.redirect('/admin/work?message=Track reordered');
 });
 
-// Translations page
+// Save the whole track order at once (drag to reorder). The list must contain
+// every track exactly once, otherwise it was changed elsewhere in the meantime.
+router.post('/work/order', ownerOnly, async (req, res) => {
+  const order = [].concat(req.body.order || []).filter(filename => typeof filename === 'string');
+
+  const result = await setTrackOrder(order);
+
+  if (result === false) {
+    const error = 'The track list changed in the meantime, reload the page and try again';
+    return wantsJson(req) ? res.status(409).json({ error }) : res.redirect(`/admin/work?error=${encodeURIComponent(error)}`);
+  }
+  if (result) {
+    reloadTracks();
+    await logActivity(req, 'track.reorder', { target: 'Track order', before: result.before, after: result.after });
+  }
+  if (wantsJson(req)) return res.json({ order });
+  res.redirect('/admin/work?message=Track order saved');
+});
+
+// Inquiries page - contact form submissions, or the spam quarantine (?view=quarantine)
+router.get('/inquiries', ownerOnly, (req, res) => {
+  const filters = {
+    q: typeof req.query.q === 'string' ? req.query.q : '',
+    service: typeof req.query.service === 'string' ? req.query.service : '',
+    status: STATUSES.includes(req.query.status) ? req.query.status : '',
+    quarantined: req.query.view === 'quarantine'
+  };
+  const services = serviceNames(languages.loadLanguages().default);
+  const inquiries = findInquiries(filters);
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  res.render('admin/inquiries', {
+    inquiries, filters, services, statuses: STATUSES, quarantined: quarantineCount(), quarantineDays: QUARANTINE_DAYS,
+    formatPrice, escapeHtml, message, error, page: 'inquiries'
+  });
+});
+
+// Move a quarantined inquiry to the inbox (it is not emailed afterwards)
+router.post('/inquiries/release', ownerOnly, async (req, res) => {
+  const previous = store.read('inquiries').inquiries.find(i => i.id === req.body.id && i.quarantine);
+  if (!previous) {
+    return res.redirect('/admin/inquiries?view=quarantine&error=Inquiry not found');
+  }
+  await updateInquiry(previous.id, { quarantine: null });
+  await logActivity(req, 'inquiry.release', { target: `Inquiry from ${previous.email}`, before: { reasons: previous.quarantine.reasons.join('; ') } });
+  res.redirect('/admin/inquiries?view=quarantine&message=Inquiry moved to the inbox');
+});
+
+router.post('/inquiries/delete', ownerOnly, async (req, res) => {
+  const quarantined = store.read('inquiries').inquiries.some(i => i.id === req.body.id && i.quarantine);
+  const removed = quarantined ? await deleteInquiry(req.body.id) : null;
+  if (!removed) {
+    return res.redirect('/admin/inquiries?view=quarantine&error=Inquiry not found');
+  }
+  await logActivity(req, 'inquiry.delete', { target: `Inquiry from ${removed.email}` });
+  res.redirect('/admin/inquiries?view=quarantine&message=Inquiry deleted');
+});
+
+router.post('/inquiries/clear', ownerOnly, async (req, res) => {
+  const count = await clearQuarantine();
+  if (count > 0) await logActivity(req, 'inquiry.clear', { after: { deleted: count } });
+  res.redirect(`/admin/inquiries?view=quarantine&message=${encodeURIComponent(`${count} quarantined inquir${count === 1 ? 'y' : 'ies'} deleted`)}`);
+});
+
+// Update inquiry status and notes
+router.post('/inquiries/update', ownerOnly, async (req, res) => {
+  const { id, status, notes } = req.body;
+
+  if (!id || !STATUSES.includes(status)) {
+    return res.redirect('/admin/inquiries?error=Invalid inquiry or status');
+  }
+
+  const previous = store.read('inquiries').inquiries.find(i => i.id === id);
+  const inquiry = await updateInquiry(id, { status, notes: (notes || '').trim() });
+  if (!inquiry) {
+    return res.redirect('/admin/inquiries?error=Inquiry not found');
+  }
+  const { before, after } = changes(previous, inquiry, ['status', 'notes']);
+  if (after) await logActivity(req, 'inquiry.update', { target: `Inquiry from ${inquiry.email}`, before, after });
+
+  res.redirect('/admin/inquiries?message=Inquiry updated');
+});
+
+// Client review projects
+router.use('/reviews', ownerOnly, reviewsRouter);
+
+// Page sections (testimonials, gear, FAQ...)
+router.use('/sections', sectionsRouter);
+
+// Services catalog (contact form, public prices)
+router.use('/services', ownerOnly, servicesRouter);
+
+// Translation filters: which rows of the editor to show
+const TRANSLATION_FILTERS = ['missing', 'changed', 'unknown'];
+
+// Back to the editor with the same filter and search, plus a message or error
+function translationsUrl(filter, q, query) {
+  const params = new URLSearchParams();
+  if (filter) params.set('filter', filter);
+  if (q) params.set('q', q);
+  return `/admin/translations?${[params.toString(), query].filter(Boolean).join('&')}`;
+}
+
+// Translations page - key by key editor, all languages side by side
 router.get('/translations', (req, res) => {
-  const en = loadJson(path.join(LOCALES_DIR, 'en.json')) || {};
-  const fr = loadJson(path.join(LOCALES_DIR, 'fr.json')) || {};
+  const site = languages.loadLanguages();
+  // Default language first: it is what visitors see for missing strings
+  const siteLanguages = [...site.languages].sort((a, b) => (b.code === site.default) - (a.code === site.default));
+  const codes = siteLanguages.map(l => l.code);
+  const locales = {};
+  codes.forEach(code => {
+    locales[code] = store.read(`locales/${code}`);
+  });
+
+  const rows = translationRows(codes, locales);
+  const counts = {
+    missing: rows.filter(row => row.missing.length > 0).length,
+    changed: rows.filter(row => row.changed.length > 0).length,
+    unknown: rows.filter(row => row.unknown).length
+  };
+
+  const filter = TRANSLATION_FILTERS.includes(req.query.filter) ? req.query.filter : '';
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const search = q.toLowerCase();
+  const visibleRows = rows
+    .filter(row => filter !== 'missing' || row.missing.length > 0)
+    .filter(row => filter !== 'changed' || row.changed.length > 0)
+    .filter(row => filter !== 'unknown' || row.unknown)
+    .filter(row => !search || row.key.toLowerCase().includes(search) ||
+      Object.values(row.values).some(value => value.toLowerCase().includes(search)));
+
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  res.render('admin/translations', {
+    languages: siteLanguages, defaultLanguage: site.default, rows: visibleRows, total: rows.length, counts,
+    filter, q, escapeHtml, message, error, page: 'translations'
+  });
+});
+
+// Locale with the submitted edits applied: { locale, conflicts } from unflatten()
+function applyTranslationEdits(localeData, edits) {
+  const flat = flatten(localeData);
+  Object.entries(edits).forEach(([key, value]) => {
+    if (!TRANSLATION_KEY.test(key) || typeof value !== 'string') return;
+    const text = value.trim();
+    if (text) {
+      flat[key] = text;
+    } else {
+      delete flat[key];
+    }
+  });
+  return unflatten(flat);
+}
+
+// Save translations: only the submitted keys change, an empty value removes the
+// key from that language (visitors then see the default language).
+// Nothing is saved if a key clashes with an existing one ("nav" vs "nav.about").
+router.post('/translations', async (req, res) => {
+  const filter = TRANSLATION_FILTERS.includes(req.body.filter) ? req.body.filter : '';
+  const q = typeof req.body.q === 'string' ? req.body.q.trim() : '';
+  const submitted = req.body.values || {};
+  const edited = languages.languageCodes()
+    .filter(code => submitted[code] && typeof submitted[code] === 'object')
+    .map(code => ({ code, edits: submitted[code] }));
+
+  // Every language is checked before any is written
+  const conflicts = edited.flatMap(({ code, edits }) => applyTranslationEdits(store.read(`locales/${code}`), edits).conflicts);
+  if (conflicts.length > 0) {
+    const keys = [...new Set(conflicts)].join(', ');
+    return res.redirect(translationsUrl(filter, q, `error=${encodeURIComponent(`Not saved (clashes with an existing key): ${keys}`)}`));
+  }
+
+  // "en:contact.title" -> value, for the activity log
+  const before = {};
+  const after = {};
+  for (const { code, edits } of edited) {
+    await store.update(`locales/${code}`, localeData => {
+      const result = applyTranslationEdits(localeData, edits);
+      // Untouched file (or changed meanwhile into a clash): no write, no history revision
+      if (result.conflicts.length > 0 || JSON.stringify(result.locale) === JSON.stringify(localeData)) return null;
+
+      const diff = changes(flatten(localeData), flatten(result.locale));
+      Object.keys(diff.after || {}).forEach(key => {
+        before[`${code}:${key}`] = diff.before[key];
+        after[`${code}:${key}`] = diff.after[key];
+      });
+      Object.keys(localeData).forEach(key => delete localeData[key]);
+      Object.assign(localeData, result.locale);
+    });
+  }
+
+  if (Object.keys(after).length > 0) {
+    await logActivity(req, 'translations.update', { target: `${Object.keys(after).length} string(s)`, before, after });
+  }
+  res.redirect(translationsUrl(filter, q, 'message=Translations saved successfully'));
+});
+
+// Add a site language (creates its locale file, untranslated strings use the default language)
+router.post('/languages', ownerOnly, async (req, res) => {
+  const code = (req.body.code || '').trim();
+  const name = (req.body.name || '').trim().slice(0, 50);
+
+  if (!languages.isValidCode(code) || !name) {
+    return res.redirect('/admin/translations?error=Enter a language code (e.g. de, es, pt-BR) and a name');
+  }
+  if (!await languages.addLanguage(code, name)) {
+    return res.redirect('/admin/translations?error=This language already exists');
+  }
+  await logActivity(req, 'language.add', { target: `${name} (${code})` });
+  res.redirect(`/admin/translations?message=${encodeURIComponent(`${name} added, the site is now available at /${code}`)}`);
+});
+
+// Language used when a visitor's language is unknown and for missing strings
+router.post('/languages/default', ownerOnly, async (req, res) => {
+  const previous = languages.loadLanguages().default;
+  if (!await languages.setDefaultLanguage(req.body.code)) {
+    return res.redirect('/admin/translations?error=Language not found');
+  }
+  await logActivity(req, 'language.default', { target: 'Default language', before: { language: previous }, after: { language: req.body.code } });
+  res.redirect('/admin/translations?message=Default language updated');
+});
+
+// Remove a language from the site (its locale file is kept)
+router.post('/languages/remove', ownerOnly, async (req, res) => {
+  if (!await languages.removeLanguage(req.body.code)) {
+    return res.redirect('/admin/translations?error=The default language cannot be removed');
+  }
+  await logActivity(req, 'language.remove', { target: req.body.code });
+  res.redirect('/admin/translations?message=Language removed');
+});
+
+// SEO fields: stored as the meta.* strings of each locale
+const SEO_FIELDS = { title: 70, description: 200 };
+
+// SEO page - title and description shown in search results and link previews
+router.get('/seo', (req, res) => {
+  const site = languages.loadLanguages();
+  const meta = {};
+  site.languages.forEach(({ code }) => {
+    meta[code] = store.exists(`locales/${code}`) ? store.read(`locales/${code}`).meta || {} : {};
+  });
   const message = req.query.message || null;
   const error = req.query.error || null;
-  res.render('admin/translations', { en, fr, message, error, page: 'translations' });
+  res.render('admin/seo', {
+    languages: site.languages, defaultLanguage: site.default, meta, fields: SEO_FIELDS, siteName: SITE_NAME,
+    siteUrl: siteUrl(req), siteUrlConfigured: Boolean(process.env.SITE_URL), photo: profilePhotoPath(), escapeHtml, message, error, page: 'seo'
+  });
+});
+
+// Save SEO fields, an empty field falls back to the default language
+router.post('/seo', async (req, res) => {
+  const submitted = req.body.meta || {};
+  const before = {};
+  const after = {};
+
+  for (const code of languages.languageCodes()) {
+    const edits = submitted[code];
+    if (!edits || typeof edits !== 'object') continue;
+
+    await store.update(`locales/${code}`, localeData => {
+      const previous = JSON.stringify(localeData.meta || {});
+      const meta = typeof localeData.meta === 'object' ? localeData.meta : {};
+      Object.entries(SEO_FIELDS).forEach(([field, maxLength]) => {
+        if (typeof edits[field] !== 'string') return;
+        const text = edits[field].trim().slice(0, maxLength);
+        if (text) {
+          meta[field] = text;
+        } else {
+          delete meta[field];
+        }
+      });
+      if (JSON.stringify(meta) === previous) return null;
+
+      const diff = changes(JSON.parse(previous), meta);
+      Object.keys(diff.after || {}).forEach(field => {
+        before[`${code}:${field}`] = diff.before[field];
+        after[`${code}:${field}`] = diff.after[field];
+      });
+      if (Object.keys(meta).length > 0) {
+        localeData.meta = meta;
+      } else {
+        delete localeData.meta;
+      }
+    });
+  }
+
+  if (Object.keys(after).length > 0) {
+    await logActivity(req, 'seo.update', { target: 'SEO texts', before, after });
+  }
+  res.redirect('/admin/seo?message=SEO settings saved successfully');
+});
+
+// Users page - accounts, roles, invite and reset links
+function renderUsers(req, res, extra = {}) {
+  res.render('admin/users', {
+    users: users.listUsers(), roles: users.ROLES, currentUser: req.user, link: null, escapeHtml,
+    message: req.query.message || null, error: req.query.error || null, page: 'users', ...extra
+  });
+}
+
+// Invite and reset links are shown once, right after they are created
+function passwordLink(req, token) {
+  return `${siteUrl(req)}/admin/password/${token}`;
+}
+
+router.get('/users', ownerOnly, (req, res) => {
+  renderUsers(req, res);
+});
+
+// Invite a user: the account is created without password, the link lets them choose one
+router.post('/users', ownerOnly, async (req, res) => {
+  let result;
+  try {
+    result = await users.inviteUser(req.body.username, req.body.role);
+  } catch (e) {
+    if (e instanceof store.StoreError) throw e;
+    return res.redirect(`/admin/users?error=${encodeURIComponent(e.message)}`);
+  }
+  await logActivity(req, 'user.invite', { target: result.user.username, after: { role: result.user.role } });
+  renderUsers(req, res, {
+    link: { user: result.user, url: passwordLink(req, result.token), kind: 'invite' },
+    message: `${result.user.username} invited`
+  });
+});
+
+// New password link, for a forgotten password or a lost invite
+router.post('/users/:id/reset', ownerOnly, async (req, res) => {
+  const result = await users.createResetLink(req.params.id);
+  if (!result) {
+    return res.redirect('/admin/users?error=User not found');
+  }
+  await logActivity(req, 'user.reset', { target: result.user.username });
+  renderUsers(req, res, {
+    link: { user: result.user, url: passwordLink(req, result.token), kind: 'reset' },
+    message: `Password link created for ${result.user.username}`
+  });
+});
+
+router.post('/users/:id/role', ownerOnly, async (req, res) => {
+  const previous = users.listUsers().find(u => u.id === req.params.id);
+  let user;
+  try {
+    user = await users.setRole(req.params.id, req.body.role);
+  } catch (e) {
+    if (e instanceof store.StoreError) throw e;
+    return res.redirect(`/admin/users?error=${encodeURIComponent(e.message)}`);
+  }
+  if (!user) {
+    return res.redirect('/admin/users?error=User not found');
+  }
+  if (previous.role !== user.role) {
+    await logActivity(req, 'user.role', { target: user.username, before: { role: previous.role }, after: { role: user.role } });
+  }
+  res.redirect(`/admin/users?message=${encodeURIComponent(`${user.username} is now ${user.role}`)}`);
 });
 
-// Save translations
-router.post('/translations', express.urlencoded({ extended: true }), (req, res) => {
-  const { en, fr } = req.body;
+// Disabling also ends the user's sessions
+router.post('/users/:id/disable', ownerOnly, async (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.redirect('/admin/users?error=You cannot disable your own account');
+  }
+  const disabled = req.body.disabled !== 'false';
+  let user;
+  try {
+    user = await users.setDisabled(req.params.id, disabled);
+  } catch (e) {
+    if (e instanceof store.StoreError) throw e;
+    return res.redirect(`/admin/users?error=${encodeURIComponent(e.message)}`);
+  }
+  if (!user) {
+    return res.redirect('/admin/users?error=User not found');
+  }
+  if (disabled) await sessions.destroyUserSessions(user.username);
+  await logActivity(req, disabled ? 'user.disable' : 'user.enable', { target: user.username });
+  res.redirect(`/admin/users?message=${encodeURIComponent(`${user.username} ${disabled ? 'disabled' : 'enabled'}`)}`);
+});
 
+// API tokens for /api/admin, the secret is shown once right after creation
+function renderApiTokens(req, res, extra = {}) {
+  res.render('admin/api-tokens', {
+    tokens: apiTokens.listTokens(), roles: users.ROLES, created: null, apiUrl: `${siteUrl(req)}/api/admin`, escapeHtml,
+    message: req.query.message || null, error: req.query.error || null, page: 'api-tokens', ...extra
+  });
+}
+
+router.get('/api-tokens', ownerOnly, (req, res) => {
+  renderApiTokens(req, res);
+});
+
+router.post('/api-tokens', ownerOnly, async (req, res) => {
+  let result;
+  try {
+    result = await apiTokens.createToken(req.body.name, req.body.role, req.user.username);
+  } catch (e) {
+    if (e instanceof store.StoreError) throw e;
+    return res.redirect(`/admin/api-tokens?error=${encodeURIComponent(e.message)}`);
+  }
+  await logActivity(req, 'apitoken.create', { target: result.token.name, after: { role: result.token.role, prefix: result.token.prefix } });
+  renderApiTokens(req, res, { created: result, message: `Token "${result.token.name}" created` });
+});
+
+router.post('/api-tokens/:id/revoke', ownerOnly, async (req, res) => {
+  const token = await apiTokens.revokeToken(req.params.id);
+  if (!token) {
+    return res.redirect('/admin/api-tokens?error=Token not found');
+  }
+  await logActivity(req, 'apitoken.revoke', { target: token.name, before: { role: token.role, prefix: token.prefix } });
+  res.redirect(`/admin/api-tokens?message=${encodeURIComponent(`Token "${token.name}" revoked`)}`);
+});
+
+// Backup: export the whole site, import an archive, check what it changes, then restore it
+function renderBackup(req, res, extra = {}) {
+  res.render('admin/backup', {
+    saved: backup.listSavedBackups(), problems: [], formatSize, escapeHtml,
+    message: req.query.message || null, error: req.query.error || null, page: 'backup', ...extra
+  });
+}
+
+// 1536 -> "1.5 KB"
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Uploaded archives wait next to the restores they are unpacked into
+const backupUpload = multer({
+  storage: multer.diskStorage({
+    destination: backup.RESTORE_DIR,
+    filename: (req, file, cb) => cb(null, `upload-${crypto.randomBytes(8).toString('hex')}.tar.gz`)
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 * 1024 } // 10GB
+});
+
+router.get('/backup', ownerOnly, (req, res) => {
+  renderBackup(req, res);
+});
+
+router.post('/backup/export', ownerOnly, async (req, res) => {
+  const filename = backup.backupFileName();
+  res.attachment(filename);
+  res.type('application/gzip');
+  try {
+    const manifest = await backup.writeBackup(res);
+    await logActivity(req, 'backup.export', { target: filename, after: { files: manifest.files.length } });
+  } catch (e) {
+    // Headers are sent: the download just fails
+    console.error('Backup export failed:', e.message);
+    res.destroy();
+  }
+});
+
+router.get('/backup/saved/:name', ownerOnly, (req, res) => {
+  const file = backup.savedBackupPath(req.params.name);
+  if (!file) {
+    return res.redirect('/admin/backup?error=Backup not found');
+  }
+  res.download(file);
+});
+
+router.post('/backup/import', ownerOnly, backupUpload.single('archive'), async (req, res) => {
+  if (!req.file) {
+    return res.redirect('/admin/backup?error=No file uploaded');
+  }
+  let id;
   try {
-    // Parse and validate JSON
-    const enData = typeof en === 'string' ? JSON.parse(en) : en;
-    const frData = typeof fr === 'string' ? JSON.parse(fr) : fr;
+    id = await backup.prepareRestore(req.file.path);
+  } catch (e) {
+    if (!(e instanceof backup.BackupError)) throw e;
+    return renderBackup(req, res, { error: `${req.file.originalname}: ${e.message}`, problems: e.problems });
+  } finally {
+    fs.rmSync(req.file.path, { force: true });
+  }
+  res.redirect(`/admin/backup/restore/${id}`);
+});
 
-    saveJson(path.join(LOCALES_DIR, 'en.json'), enData);
-    saveJson(path.join(LOCALES_DIR, 'fr.json'), frData);
+// What the restore would change, with a line diff of the content documents
+router.get('/backup/restore/:id', ownerOnly, async (req, res) => {
+  const preview = await backup.restorePreview(req.params.id);
+  if (!preview) {
+    return res.redirect('/admin/backup?error=This import has expired, upload the archive again');
+  }
+  res.render('admin/backup-restore', {
+    id: req.params.id, preview, formatSize, escapeHtml, message: null, error: null, page: 'backup'
+  });
+});
 
-    res.redirect('/admin/translations?message=Translations saved successfully');
+router.post('/backup/restore/:id', ownerOnly, async (req, res) => {
+  let result;
+  try {
+    result = await backup.applyRestore(req.params.id);
   } catch (e) {
-    res.redirect('/admin/translations?error=Invalid JSON format');
+    if (!(e instanceof backup.BackupError)) throw e;
+    return res.redirect(`/admin/backup?error=${encodeURIComponent(e.message)}`);
   }
+  if (!result) {
+    return res.redirect('/admin/backup?error=This import has expired, upload the archive again');
+  }
+  reloadTracks();
+  await logActivity(req, 'backup.restore', {
+    target: `Backup of ${new Date(result.manifest.createdAt).toLocaleString('en-GB')}`,
+    after: { files: result.manifest.files.length, savedAs: result.savedAs }
+  });
+  res.redirect(`/admin/backup?message=${encodeURIComponent(`Backup restored. The previous site was saved as ${result.savedAs}`)}`);
+});
+
+router.post('/backup/restore/:id/cancel', ownerOnly, async (req, res) => {
+  await backup.discardRestore(req.params.id);
+  res.redirect('/admin/backup?message=Import cancelled, nothing changed');
+});
+
+// Activity entries shown per page
+const ACTIVITY_PAGE_SIZE = 100;
+
+// Activity log - who changed what, filterable by user, action, text and dates
+router.get('/activity', ownerOnly, (req, res) => {
+  const text = value => typeof value === 'string' ? value.trim() : '';
+  const date = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : '';
+  const filters = {
+    user: text(req.query.user),
+    action: text(req.query.action),
+    q: text(req.query.q),
+    from: date(req.query.from),
+    to: date(req.query.to)
+  };
+
+  const entries = findActivity(filters);
+  const pages = Math.max(1, Math.ceil(entries.length / ACTIVITY_PAGE_SIZE));
+  const pageNumber = Math.min(pages, Math.max(1, parseInt(req.query.page, 10) || 1));
+  const pageUrl = number => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    if (number > 1) params.set('page', number);
+    return `/admin/activity?${params}`;
+  };
+
+  // Action groups ("track") then single actions
+  const groups = [...new Set(Object.keys(ACTIONS).map(action => action.split('.')[0]))];
+  res.render('admin/activity', {
+    entries: entries.slice((pageNumber - 1) * ACTIVITY_PAGE_SIZE, pageNumber * ACTIVITY_PAGE_SIZE),
+    total: entries.length, pageNumber, pages, pageUrl, filters, actions: ACTIONS, groups,
+    users: activityUsers(), retentionDays: RETENTION_DAYS, escapeHtml,
+    message: req.query.message || null, error: req.query.error || null, page: 'activity'
+  });
+});
+
+// History index - one entry per document
+router.get('/history', (req, res) => {
+  const documents = historyDocuments(req.user).map(doc => ({ ...doc, revisions: store.listRevisions(doc.name) }));
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  res.render('admin/history', { documents, escapeHtml, message, error, page: 'history' });
+});
+
+// Revisions of a document, each with the changes since the previous one
+router.get('/history/:doc', (req, res) => {
+  const doc = historyDocuments(req.user).find(d => d.name === req.params.doc);
+  if (!doc) {
+    return res.redirect('/admin/history?error=Unknown document');
+  }
+
+  const revisions = store.listRevisions(doc.name);
+  const contents = revisions.map(revision => store.readRevision(doc.name, revision.id));
+  const entries = revisions.map((revision, index) => ({
+    ...revision,
+    // The oldest revision has nothing to compare with
+    hunks: index < revisions.length - 1 ? diffHunks(contents[index + 1], contents[index]) : null
+  }));
+
+  const message = req.query.message || null;
+  const error = req.query.error || null;
+  res.render('admin/history-document', { doc, entries, escapeHtml, message, error, page: 'history' });
+});
+
+// Bring back an earlier revision (saved as a new revision, so it can be undone too)
+router.post('/history/:doc/restore', async (req, res) => {
+  const doc = historyDocuments(req.user).find(d => d.name === req.params.doc);
+  if (!doc) {
+    return res.redirect('/admin/history?error=Unknown document');
+  }
+
+  const docUrl = `/admin/history/${encodeURIComponent(doc.name)}`;
+  const data = typeof req.body.revision === 'string' ? store.readRevision(doc.name, req.body.revision) : null;
+  if (!data) {
+    return res.redirect(`${docUrl}?error=Revision not found`);
+  }
+
+  let message = `${doc.label} restored`;
+  if (doc.name === 'tracks') {
+    const result = await store.update('tracks', tracksData => {
+      const reconciled = reconcileTracks(data.tracks, tracksData.tracks);
+      tracksData.tracks = reconciled.tracks;
+      return reconciled;
+    });
+    reloadTracks();
+    if (result.skipped) message += `, ${result.skipped} track(s) skipped (audio file deleted)`;
+    if (result.added) message += `, ${result.added} newer track(s) kept at the end`;
+  } else {
+    await store.write(doc.name, data);
+  }
+  await logActivity(req, 'history.restore', { target: doc.label, after: { revision: req.body.revision } });
+
+  res.redirect(`${docUrl}?message=${encodeURIComponent(message)}`);
 });
 
 // Error handler for multer
@@ -351,6 +1356,21 @@ router.use((err, req, res, next) => {
   const isLocalAdmin = referer.includes('/admin/');
   const redirectBase = isLocalAdmin ? referer.split('?')[0] : '/admin';
 
+  // Uploads the route never got to check
+  discardUploads(req.file || req.files);
+
+  // Broken data files: fail loudly instead of redirecting (the target page would fail too)
+  if (err instanceof store.StoreError) {
+    console.error('Data store error:', err.message);
+    return res.status(500).send(`Data error: ${escapeHtml(err.message)}`);
+  }
+
+  // Upload script: show the error next to the file
+  if (err && wantsJson(req)) {
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : (err instanceof UploadError ? err.status : 400);
+    return res.status(status).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'File too large' : err.message });
+  }
+
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.redirect(redirectBase + '?error=File too large');
@@ -0,0 +1,365 @@
+/**
+ * Admin REST API (/api/admin)
+ * JSON endpoints for tracks, bio and translations, for scripts and other tools.
+ * Requests authenticate with an API token created in the admin
+ * (Authorization: Bearer hj_...): no cookies, so no CSRF token either.
+ * Errors are JSON { error } with the matching status code. Invalid input is a 422
+ * with one { field, message } per problem in `details`.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const store = require('../lib/store');
+const languages = require('../lib/languages');
+const apiTokens = require('../lib/api-tokens');
+const { changes, logActivity } = require('../lib/activity');
+const { TRANSLATION_KEY, flatten, unflatten } = require('../lib/locales');
+const {
+  audioUpload, toLink, pickLocalized, trackLabel, pickTrackFields, reloadTracks,
+  addUploadedTrack, updateTrack, deleteTrack, setTrackOrder
+} = require('../lib/work');
+const { discardUploads } = require('../lib/uploads');
+const { serviceIds } = require('../lib/services');
+
+const router = express.Router();
+
+// Same budget as the admin pages
+const apiLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 100,
+  message: { error: 'Too many requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(apiLimiter);
+
+// Bearer token from the Authorization header. Activity log entries name the token.
+async function requireToken(req, res, next) {
+  const [scheme, secret] = (req.get('authorization') || '').split(' ');
+  const token = scheme && scheme.toLowerCase() === 'bearer' ? await apiTokens.authenticateToken(secret) : null;
+  if (!token) {
+    res.set('WWW-Authenticate', secret ? 'Bearer error="invalid_token"' : 'Bearer');
+    return res.status(401).json({ error: secret ? 'Invalid or revoked API token' : 'Missing API token (Authorization: Bearer <token>)' });
+  }
+  req.token = token;
+  req.user = { username: `api:${token.name}`, role: token.role };
+  next();
+}
+
+// Tracks are managed by owners only, like the My Work page
+function ownerToken(req, res, next) {
+  if (req.user.role !== 'owner') {
+    return res.status(403).json({ error: 'Only owner tokens can manage tracks' });
+  }
+  next();
+}
+
+router.use(requireToken);
+// Translation updates can be large; the site-wide parser after this router skips parsed bodies
+router.use(express.json({ limit: '1mb' }));
+
+// Validation helpers
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// PATCH and PUT bodies are JSON objects
+function requireJson(req, res, next) {
+  if (!req.is('application/json')) {
+    return res.status(415).json({ error: 'Send a JSON body (Content-Type: application/json)' });
+  }
+  next();
+}
+
+// The body is an object with no other keys than `fields`
+function onlyFields(fields) {
+  return body().custom(value => {
+    if (!isPlainObject(value)) throw new Error('Expected a JSON object');
+    const unknown = Object.keys(value).filter(key => !fields.includes(key));
+    if (unknown.length > 0) throw new Error(`Unknown field(s): ${unknown.join(', ')}`);
+    return true;
+  });
+}
+
+// { en: '...', fr: '...' } keyed by site language codes
+function localizedTexts(value) {
+  if (!isPlainObject(value)) throw new Error('Expected an object of texts by language code');
+  const codes = languages.languageCodes();
+  Object.entries(value).forEach(([lang, text]) => {
+    if (!codes.includes(lang)) throw new Error(`Unknown language "${lang}"`);
+    if (typeof text !== 'string') throw new Error(`"${lang}" must be a string`);
+  });
+  return true;
+}
+
+// 422 with every problem found by the validation chain
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+  res.status(422).json({
+    error: 'Validation failed',
+    details: errors.array().map(e => ({ field: e.path || 'body', message: e.msg }))
+  });
+}
+
+function notFound(res, what) {
+  return res.status(404).json({ error: `${what} not found` });
+}
+
+// Tracks
+
+router.use('/tracks', ownerToken);
+
+// tracks.json entry with the URL its audio is served from (private tracks only play through share links)
+function trackResource(track) {
+  return { ...track, url: track.private ? null : `/work/${encodeURIComponent(track.filename)}` };
+}
+
+function findTrack(filename) {
+  return store.read('tracks').tracks.find(t => t.filename === filename) || null;
+}
+
+const TRACK_FIELDS = ['title', 'titles', 'descriptions', 'client', 'roles', 'genre', 'year', 'links'];
+
+const trackValidation = [
+  onlyFields(TRACK_FIELDS),
+  body('title').optional()
+    .isString().withMessage('Must be a string').bail()
+    .trim()
+    .notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 200 }).withMessage('Title too long'),
+  body(['titles', 'descriptions']).optional().custom(localizedTexts),
+  body(['client', 'genre']).optional({ values: 'null' })
+    .isString().withMessage('Must be a string').bail()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Too long'),
+  body('roles').optional()
+    .isArray().withMessage('Must be an array').bail()
+    .custom(roles => {
+      const allowed = serviceIds();
+      const unknown = roles.filter(role => !allowed.includes(role));
+      if (unknown.length > 0) throw new Error(`Unknown role(s): ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+      return true;
+    }),
+  body('year').optional({ values: 'null' })
+    .isInt({ min: 1900, max: 2100 }).withMessage('Must be a year between 1900 and 2100'),
+  body('links').optional()
+    .isArray({ max: 20 }).withMessage('Must be an array of at most 20 links').bail()
+    .custom(links => {
+      links.forEach((link, index) => {
+        if (!isPlainObject(link) || typeof link.url !== 'string' || !toLink(link.url)) {
+          throw new Error(`Link ${index + 1}: expected { "label": "...", "url": "https://..." }`);
+        }
+        if (link.label !== undefined && typeof link.label !== 'string') {
+          throw new Error(`Link ${index + 1}: the label must be a string`);
+        }
+      });
+      return true;
+    })
+];
+
+// Validated body -> tracks.json fields, only those sent are changed (null clears)
+function trackFields(input) {
+  const fields = {};
+  if (input.title !== undefined) fields.title = input.title;
+  if (input.titles !== undefined) fields.titles = pickLocalized(input.titles);
+  if (input.descriptions !== undefined) fields.descriptions = pickLocalized(input.descriptions);
+  if (input.client !== undefined) fields.client = input.client || '';
+  if (input.genre !== undefined) fields.genre = input.genre || '';
+  if (input.roles !== undefined) fields.roles = [...new Set(input.roles)];
+  if (input.year !== undefined) fields.year = input.year === null ? null : parseInt(input.year, 10);
+  if (input.links !== undefined) fields.links = input.links.map(link => toLink(link.url, (link.label || '').trim()));
+  return fields;
+}
+
+router.get('/tracks', (req, res) => {
+  res.json({ tracks: store.read('tracks').tracks.map(trackResource) });
+});
+
+router.get('/tracks/:filename', (req, res) => {
+  const track = findTrack(req.params.filename);
+  if (!track) return notFound(res, 'Track');
+  res.json({ track: trackResource(track) });
+});
+
+// Upload a track: multipart form with the file in an "audio" field, added at the end of the list
+router.post('/tracks', audioUpload.single('audio'), async (req, res) => {
+  if (!req.file) {
+    return res.status(422).json({ error: 'Validation failed', details: [{ field: 'audio', message: 'No file uploaded' }] });
+  }
+  // Not audio or already uploaded: 415 or 409 through the error handler
+  let track;
+  try {
+    track = await addUploadedTrack(req.file);
+  } finally {
+    discardUploads(req.file);
+  }
+  reloadTracks();
+  await logActivity(req, 'track.upload', { target: trackLabel(track), after: { title: track.title, file: req.file.originalname } });
+  res.status(201)
+    .location(`${req.baseUrl}/tracks/${encodeURIComponent(track.filename)}`)
+    .json({ track: trackResource(track) });
+});
+
+// Whole order at once: { "order": [filename, ...] } with every track exactly once
+router.put('/tracks/order', requireJson,
+  onlyFields(['order']),
+  body('order')
+    .isArray().withMessage('Must be an array of track file names').bail()
+    .custom(order => order.every(filename => typeof filename === 'string')).withMessage('Must be an array of track file names'),
+  validate,
+  async (req, res) => {
+    const result = await setTrackOrder(req.body.order);
+    if (result === false) {
+      return res.status(409).json({
+        error: 'The order must list every track exactly once',
+        tracks: store.read('tracks').tracks.map(t => t.filename)
+      });
+    }
+    if (result) {
+      reloadTracks();
+      await logActivity(req, 'track.reorder', { target: 'Track order', before: result.before, after: result.after });
+    }
+    res.json({ order: store.read('tracks').tracks.map(t => t.filename) });
+  }
+);
+
+router.patch('/tracks/:filename', requireJson, trackValidation, validate, async (req, res) => {
+  const updated = await updateTrack(req.params.filename, trackFields(req.body));
+  if (!updated) return notFound(res, 'Track');
+
+  const { track, previous } = updated;
+  reloadTracks();
+  const { before, after } = changes(previous, pickTrackFields(track));
+  if (after) await logActivity(req, 'track.update', { target: trackLabel(track), before, after });
+  res.json({ track: trackResource(track) });
+});
+
+router.delete('/tracks/:filename', async (req, res) => {
+  const removed = await deleteTrack(req.params.filename);
+  if (!removed) return notFound(res, 'Track');
+
+  reloadTracks();
+  await logActivity(req, 'track.delete', { target: trackLabel(removed), before: pickTrackFields(removed) });
+  res.status(204).end();
+});
+
+// Bio
+
+router.get('/bio', (req, res) => {
+  res.json({ bio: store.read('bio') });
+});
+
+// Only the languages sent change: { "en": "...", "fr": "..." }
+router.patch('/bio', requireJson, body().custom(localizedTexts), validate, async (req, res) => {
+  let bio;
+  const { before, after } = await store.update('bio', data => {
+    const previous = { ...data };
+    Object.entries(req.body).forEach(([lang, text]) => {
+      data[lang] = text.trim();
+    });
+    bio = data;
+    return changes(previous, data);
+  });
+  if (after) await logActivity(req, 'bio.update', { target: 'Bio', before, after });
+  res.json({ bio });
+});
+
+// Translations
+
+router.get('/translations', (req, res) => {
+  const site = languages.loadLanguages();
+  res.json({ default: site.default, languages: site.languages });
+});
+
+function knownLanguage(req, res, next) {
+  if (!languages.languageCodes().includes(req.params.lang)) return notFound(res, 'Language');
+  next();
+}
+
+// Flat dotted keys, as in the admin editor: { "contact.title": "Contact" }
+router.get('/translations/:lang', knownLanguage, (req, res) => {
+  res.json({ lang: req.params.lang, strings: flatten(store.read(`locales/${req.params.lang}`)) });
+});
+
+const translationsValidation = body().custom(value => {
+  if (!isPlainObject(value)) throw new Error('Expected an object of strings by dotted key');
+  Object.entries(value).forEach(([key, text]) => {
+    if (!TRANSLATION_KEY.test(key)) throw new Error(`Invalid key "${key}"`);
+    if (typeof text !== 'string' && text !== null) throw new Error(`"${key}" must be a string, or null to remove it`);
+  });
+  return true;
+});
+
+// Only the keys sent change, null or "" removes a key (visitors then see the default language).
+// Nothing is saved if a key clashes with an existing one ("nav" vs "nav.about").
+router.patch('/translations/:lang', knownLanguage, requireJson, translationsValidation, validate, async (req, res) => {
+  const { lang } = req.params;
+  let conflicts = [];
+  let diff = { before: null, after: null };
+
+  await store.update(`locales/${lang}`, localeData => {
+    const flat = flatten(localeData);
+    Object.entries(req.body).forEach(([key, value]) => {
+      const text = (value || '').trim();
+      if (text) {
+        flat[key] = text;
+      } else {
+        delete flat[key];
+      }
+    });
+
+    const result = unflatten(flat);
+    conflicts = result.conflicts;
+    if (conflicts.length > 0 || JSON.stringify(result.locale) === JSON.stringify(localeData)) return null;
+
+    diff = changes(flatten(localeData), flatten(result.locale));
+    Object.keys(localeData).forEach(key => delete localeData[key]);
+    Object.assign(localeData, result.locale);
+  });
+
+  if (conflicts.length > 0) {
+    return res.status(422).json({
+      error: 'Validation failed',
+      details: [...new Set(conflicts)].map(key => ({ field: key, message: 'Clashes with an existing key' }))
+    });
+  }
+  if (diff.after) {
+    // "en:contact.title" -> value, like the admin editor
+    const before = {};
+    const after = {};
+    Object.keys(diff.after).forEach(key => {
+      before[`${lang}:${key}`] = diff.before[key];
+      after[`${lang}:${key}`] = diff.after[key];
+    });
+    await logActivity(req, 'translations.update', { target: `${Object.keys(after).length} string(s)`, before, after });
+  }
+  res.json({ lang, strings: flatten(store.read(`locales/${lang}`)) });
+});
+
+router.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+router.use((err, req, res, next) => {
+  if (err instanceof store.StoreError) {
+    console.error('Data store error:', err.message);
+    return res.status(500).json({ error: `Data error: ${err.message}` });
+  }
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'File too large' });
+    return res.status(400).json({ error: err.message });
+  }
+  // Body parser errors (invalid JSON, body too large) and rejected or duplicate uploads carry their status
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.type === 'entity.parse.failed' ? 'Invalid JSON body' : err.message });
+  }
+  console.error('Admin API error:', err.message);
+  res.status(500).json({ error: 'An unexpected error occurred' });
+});
+
+module.exports = router;
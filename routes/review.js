@@ -0,0 +1,78 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const reviews = require('../lib/reviews');
+
+const router = express.Router();
+
+// Comment limit per IP: plenty for a review session, stops flooding
+const commentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: 'Too many comments, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Review pages are for the link holder only: keep them out of caches and search engines
+router.use((req, res, next) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.setHeader('Cache-Control', 'private, no-store');
+  next();
+});
+
+function resolveProject(req, res, next) {
+  const project = reviews.findProjectByToken(req.params.token);
+  if (!project) {
+    return res.status(404).render('review', { project: null, selected: {}, error: null });
+  }
+  req.project = project;
+  next();
+}
+
+// Project page: every song with its selected version (latest unless ?version=)
+router.get('/:token', resolveProject, (req, res) => {
+  const selected = {};
+  req.project.songs.forEach(song => {
+    const requested = song.versions.find(v => v.id === req.query.version);
+    selected[song.id] = requested || song.versions[song.versions.length - 1] || null;
+  });
+  const error = req.query.error || null;
+  res.render('review', { project: req.project, selected, error });
+});
+
+// Form field as a string ('' when missing or repeated, e.g. name=a&name=b)
+function field(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+// Leave a comment pinned to a timestamp
+router.post('/:token/comments', commentLimiter, express.urlencoded({ extended: false }), resolveProject, async (req, res) => {
+  const versionId = field(req.body.versionId);
+  const name = field(req.body.name).trim().slice(0, 100);
+  const text = field(req.body.text).trim();
+  const time = Math.max(0, parseFloat(req.body.time) || 0);
+  const back = `/review/${encodeURIComponent(req.params.token)}?version=${encodeURIComponent(versionId)}`;
+
+  if (!text || text.length > 2000) {
+    return res.redirect(`${back}&error=comment#version-${encodeURIComponent(versionId)}`);
+  }
+
+  const comment = await reviews.addComment(req.project.id, versionId, { name, text, time: Math.round(time * 10) / 10 });
+  if (!comment) {
+    return res.redirect(`/review/${encodeURIComponent(req.params.token)}`);
+  }
+
+  res.redirect(`${back}#comment-${comment.id}`);
+});
+
+// Version audio and peaks files (Range requests handled by sendFile)
+router.get('/:token/files/:file', resolveProject, (req, res) => {
+  const owned = req.project.songs.some(song =>
+    song.versions.some(v => v.filename === req.params.file || v.peaks === req.params.file));
+  if (!owned) {
+    return res.status(404).send('Not found');
+  }
+  res.sendFile(req.params.file, { root: reviews.REVIEWS_DIR });
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const escapeHtml = require('escape-html');
+const { loadLanguages } = require('../lib/languages');
+const { siteUrl } = require('../lib/seo');
+
+const router = express.Router();
+
+// Areas that must stay out of search engines
+const DISALLOWED_PATHS = ['/admin/', '/api/', '/share/', '/review/'];
+
+// One entry per language, each listing all translations of the page
+router.get('/sitemap.xml', (req, res) => {
+  const base = siteUrl(req);
+  const { languages } = loadLanguages();
+  const alternates = [
+    ...languages.map(({ code }) => `    <xhtml:link rel="alternate" hreflang="${escapeHtml(code)}" href="${escapeHtml(`${base}/${code}`)}"/>`),
+    `    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeHtml(`${base}/`)}"/>`
+  ].join('\n');
+
+  const urls = languages.map(({ code }) => `  <url>
+    <loc>${escapeHtml(`${base}/${code}`)}</loc>
+${alternates}
+  </url>`).join('\n');
+
+  res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls}
+</urlset>
+`);
+});
+
+router.get('/robots.txt', (req, res) => {
+  res.type('text/plain').send([
+    'User-agent: *',
+    ...DISALLOWED_PATHS.map(p => `Disallow: ${p}`),
+    '',
+    `Sitemap: ${siteUrl(req)}/sitemap.xml`,
+    ''
+  ].join('\n'));
+});
+
+module.exports = router;
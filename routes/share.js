@@ -0,0 +1,48 @@
+const express = require('express');
+const path = require('path');
+const store = require('../lib/store');
+const { resolveShare } = require('../lib/shares');
+const { describeTrack, trackFiles } = require('../lib/tracks');
+
+const router = express.Router();
+
+// Paths
+const PRIVATE_DIR = path.join(store.DATA_DIR, 'private');
+
+// Shared pages are for the link holder only: keep them out of caches and search engines
+router.use((req, res, next) => {
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+  res.setHeader('Cache-Control', 'private, no-store');
+  next();
+});
+
+// Resolve the token to an active share of a private track
+function resolveSharedTrack(req, res, next) {
+  const share = resolveShare(req.params.token);
+  const track = share && store.read('tracks').tracks.find(t => t.filename === share.filename && t.private);
+
+  if (!track) {
+    return res.status(404).render('share', { file: null, expiresAt: null });
+  }
+
+  req.share = share;
+  req.track = track;
+  next();
+}
+
+// Share page with the player
+router.get('/:token', resolveSharedTrack, (req, res) => {
+  const fileUrl = filename => `/share/${req.params.token}/${encodeURIComponent(filename)}`;
+  const file = describeTrack(req.track, res.locals.lang, fileUrl);
+  res.render('share', { file, expiresAt: req.share.expiresAt });
+});
+
+// Private audio and peaks files (Range requests handled by sendFile)
+router.get('/:token/:file', resolveSharedTrack, (req, res) => {
+  if (!trackFiles(req.track).includes(req.params.file)) {
+    return res.status(404).send('Not found');
+  }
+  res.sendFile(req.params.file, { root: PRIVATE_DIR });
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Export or import a full-site backup (same archives as the admin Backup page)
+ *
+ *   node scripts/backup.js export [file.tar.gz]
+ *   node scripts/backup.js import <file.tar.gz> [--yes]
+ *
+ * Import checks the archive, lists what would change and asks before restoring
+ * (--yes skips the question). The current site is saved to data/backups/ first.
+ * Restart the server afterwards: it keeps the track list in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const backup = require('../lib/backup');
+
+function usage() {
+  console.error('Usage: node scripts/backup.js export [file.tar.gz]');
+  console.error('       node scripts/backup.js import <file.tar.gz> [--yes]');
+  process.exit(1);
+}
+
+async function exportBackup(file) {
+  const target = path.resolve(file || backup.backupFileName());
+  const manifest = await backup.writeBackup(fs.createWriteStream(target));
+  const size = manifest.files.reduce((total, f) => total + f.size, 0);
+  console.log(`Exported ${manifest.files.length} files (${(size / 1024 / 1024).toFixed(1)} MB) to ${target}`);
+}
+
+function printList(title, files) {
+  if (files.length === 0) return;
+  console.log(`\n${title} (${files.length}):`);
+  files.forEach(file => console.log(`  ${file}`));
+}
+
+// No answer (input closed) means no
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.on('close', () => resolve(false));
+    rl.question(question).then(answer => {
+      resolve(/^y(es)?$/i.test(answer.trim()));
+      rl.close();
+    });
+  });
+}
+
+async function importBackup(file, yes) {
+  if (!file || !fs.existsSync(file)) usage();
+
+  let id;
+  try {
+    id = await backup.prepareRestore(path.resolve(file));
+  } catch (e) {
+    if (!(e instanceof backup.BackupError)) throw e;
+    console.error(`Invalid backup: ${e.message}`);
+    e.problems.forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+
+  const preview = await backup.restorePreview(id);
+  console.log(`Backup made on ${preview.manifest.createdAt}, ${preview.manifest.files.length} files.`);
+  printList('Added', preview.added);
+  printList('Changed', preview.changed);
+  printList('Removed', preview.removed);
+  console.log(`\n${preview.unchanged} file(s) unchanged.`);
+
+  if (preview.added.length + preview.changed.length + preview.removed.length === 0) {
+    console.log('The site already matches this backup, nothing to restore.');
+    await backup.discardRestore(id);
+    return;
+  }
+  if (!yes && !await confirm('\nReplace the site with this backup? [y/N] ')) {
+    await backup.discardRestore(id);
+    console.log('Cancelled, nothing changed.');
+    return;
+  }
+
+  const result = await backup.applyRestore(id);
+  if (!result) {
+    console.error('This import was already restored or removed, nothing changed.');
+    process.exit(1);
+  }
+  console.log(`Restored. The previous site was saved to data/backups/${result.savedAs}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const yes = args.includes('--yes');
+  const [file] = args.filter(arg => arg !== '--yes');
+
+  if (command === 'export') return exportBackup(file);
+  if (command === 'import') return importBackup(file, yes);
+  usage();
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
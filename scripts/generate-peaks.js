@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Generate waveform peaks for tracks uploaded before peaks existed
+ * Usage: node scripts/generate-peaks.js [--force]
+ */
+
+const path = require('path');
+const store = require('../lib/store');
+const { writePeaksFile } = require('../lib/waveform');
+
+const WORK_DIR = path.join(__dirname, '..', 'public', 'work');
+
+async function generate(filename, force, existing) {
+  if (!filename || (existing && !force)) return existing;
+  try {
+    const peaks = await writePeaksFile(path.join(WORK_DIR, filename));
+    console.log(peaks ? `Generated: ${peaks}` : `Skipped (unsupported format): ${filename}`);
+    return peaks || undefined;
+  } catch (e) {
+    console.error(`Failed: ${filename} (${e.message})`);
+    return existing;
+  }
+}
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const tracksData = store.read('tracks');
+
+  for (const track of tracksData.tracks) {
+    track.peaks = await generate(track.filename, force, track.peaks);
+    track.beforePeaks = await generate(track.before, force, track.beforePeaks);
+  }
+
+  await store.write('tracks', tracksData);
+  console.log('Done! Restart the server to pick up the new peaks.');
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -33,6 +33,20 @@ function createTracksJson() {
   console.log('Created: data/tracks.json');
 }
 
+function createInquiriesJson() {
+  const inquiriesPath = path.join(DATA_DIR, 'inquiries.json');
+  if (fs.existsSync(inquiriesPath)) return;
+  fs.writeFileSync(inquiriesPath, JSON.stringify({ inquiries: [] }, null, 2));
+  console.log('Created: data/inquiries.json');
+}
+
+function createReviewsJson() {
+  const reviewsPath = path.join(DATA_DIR, 'reviews.json');
+  if (fs.existsSync(reviewsPath)) return;
+  fs.writeFileSync(reviewsPath, JSON.stringify({ projects: [] }, null, 2));
+  console.log('Created: data/reviews.json');
+}
+
 function createBioJson() {
   const bioPath = path.join(DATA_DIR, 'bio.json');
   if (fs.existsSync(bioPath)) return;
@@ -106,6 +120,12 @@ function main() {
   // Create tracks.json
   createTracksJson();
 
+  // Create inquiries.json (contact form inbox)
+  createInquiriesJson();
+
+  // Create reviews.json (client review projects)
+  createReviewsJson();
+
   console.log('Done! data/ directory initialized.');
 }
 
@@ -1,12 +1,25 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
-const nodemailer = require('nodemailer');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const escapeHtml = require('escape-html');
 const adminRouter = require('./routes/admin');
+const apiAdminRouter = require('./routes/api-admin');
+const shareRouter = require('./routes/share');
+const reviewRouter = require('./routes/review');
+const seoRouter = require('./routes/seo');
+const store = require('./lib/store');
+const { loadLanguages } = require('./lib/languages');
+const { describeTrack } = require('./lib/tracks');
+const { pageSeo, jsonForScript } = require('./lib/seo');
+const { profilePhotoPath, describeGallery } = require('./lib/media');
+const { describeSections } = require('./lib/sections');
+const { activeServices, serviceNames, describeServices } = require('./lib/services');
+const { MAX_SONGS, quoteRates, estimateQuote, describeEstimate } = require('./lib/quote');
+const { addInquiry, updateInquiry } = require('./lib/inquiries');
+const { HONEYPOT_FIELD, formToken, spamReasons, isEmailThrottled } = require('./lib/spam');
+const { transporter: emailTransporter, transportName, fromAddress, verifyTransport } = require('./lib/mailer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -38,63 +51,40 @@ const contactLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// Valid services whitelist
-const VALID_SERVICES = ['editing', 'mixing', 'mastering', 'production', 'midiDrums'];
-
-// Email configuration
-const emailTransporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_APP_PASSWORD
+// Email configuration (transport selected by MAIL_TRANSPORT, see lib/mailer.js)
+verifyTransport((error) => {
+  if (error) {
+    console.error(`Email transport (${transportName}) error:`, error.message);
+  } else if (transportName === 'none') {
+    console.warn('Email transport disabled. Set MAIL_TRANSPORT (or GMAIL_USER and GMAIL_APP_PASSWORD) to send emails.');
+  } else {
+    console.log(`Email transport (${transportName}) is ready`);
   }
 });
 
-// Verify email transporter on startup (only if credentials are configured)
-if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD) {
-  emailTransporter.verify((error) => {
-    if (error) {
-      console.error('Email transporter error:', error.message);
-    } else {
-      console.log('Email transporter is ready');
-    }
-  });
-} else {
-  console.warn('Email credentials not configured. Set GMAIL_USER and GMAIL_APP_PASSWORD environment variables.');
-}
-
 // Data paths
-const DATA_DIR = path.join(__dirname, 'data');
-const LOCALES_DIR = path.join(DATA_DIR, 'locales');
-const BIO_PATH = path.join(DATA_DIR, 'bio.json');
-const TRACKS_PATH = path.join(DATA_DIR, 'tracks.json');
+const DATA_DIR = store.DATA_DIR;
 
-// Load translations from data/ directory
+// Load translations of every site language from data/locales/
 function loadTranslations() {
-  return {
-    en: JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, 'en.json'), 'utf8')),
-    fr: JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, 'fr.json'), 'utf8'))
-  };
+  const translations = {};
+  languages.languages.forEach(({ code }) => {
+    translations[code] = store.read(`locales/${code}`);
+  });
+  return translations;
 }
 
 // Load bio from data/bio.json
 function loadBio() {
-  try {
-    return JSON.parse(fs.readFileSync(BIO_PATH, 'utf8'));
-  } catch (e) {
-    return { en: '', fr: '' };
-  }
+  return store.read('bio');
 }
 
 // Load tracks from data/tracks.json
 function loadTracksData() {
-  try {
-    return JSON.parse(fs.readFileSync(TRACKS_PATH, 'utf8'));
-  } catch (e) {
-    return { tracks: [] };
-  }
+  return store.read('tracks');
 }
 
+let languages = loadLanguages();
 let translations = loadTranslations();
 let bio = loadBio();
 let tracksData = loadTracksData();
@@ -108,22 +98,29 @@ function reloadTracks() {
 app.set('views', './views');
 app.set('view engine', 'ejs');
 
-// Translation helper (available in all templates via app.locals)
-app.locals.t = (key, lang) => {
-  const keys = key.split('.');
+function lookup(lang, key) {
   let value = translations[lang];
-  for (const k of keys) {
+  for (const k of key.split('.')) {
     value = value?.[k];
   }
+  return value;
+}
+
+// Translation helper (available in all templates via app.locals)
+// Missing strings fall back to the default language, key by key
+app.locals.t = (key, lang) => {
+  const fallback = languages.default;
   // Special case: bio comes from bio.json, not locale files
   if (key === 'about.bio') {
-    return bio[lang] || value || key;
+    return bio[lang] || lookup(lang, key) || bio[fallback] || lookup(fallback, key) || key;
   }
-  return value || key;
+  return lookup(lang, key) || lookup(fallback, key) || key;
 };
 
-// Reload translations once per request (not per t() call) to reflect admin changes
+// Reload languages and translations once per request (not per t() call) to reflect admin changes
+// (a broken file fails the request instead of rendering an empty site)
 app.use((req, res, next) => {
+  languages = loadLanguages();
   translations = loadTranslations();
   bio = loadBio();
   next();
@@ -131,40 +128,71 @@ app.use((req, res, next) => {
 
 // Language detection middleware
 app.use((req, res, next) => {
-  // Priority: path prefix > Accept-Language > 'en'
-  const pathLang = req.path.match(/^\/(en|fr)$/)?.[1];
-  const headerLang = req.acceptsLanguages('en', 'fr');
-  res.locals.lang = pathLang || headerLang || 'en';
+  // Priority: path prefix > Accept-Language > default language
+  // Default first: it wins when the browser accepts any language (or sends no header)
+  const codes = [languages.default, ...languages.languages.map(l => l.code).filter(code => code !== languages.default)];
+  const pathLang = req.path.match(/^\/([^/]+)$/)?.[1];
+  const headerLang = req.acceptsLanguages(...codes);
+  res.locals.lang = (codes.includes(pathLang) && pathLang) || headerLang || languages.default;
+  res.locals.languages = languages.languages;
   next();
 });
 
 // Serve static files from 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Serve data/images for admin-uploaded profile photo
+// Serve data/images for admin-uploaded profile photo, gallery and covers
 app.use('/data/images', express.static(path.join(DATA_DIR, 'images')));
 
 // Serve only rakui-css (not entire node_modules)
 app.use('/css/rakui.css', express.static(path.join(__dirname, 'node_modules/rakui-css/dist/rakui.css')));
 
+// Admin REST API (token auth, JSON errors, parses its own bodies)
+app.use('/api/admin', apiAdminRouter);
+
 // Parse JSON bodies (for contact form API)
 app.use(express.json());
 
-// Get audio files from tracks.json (order = index in array)
-function getAudioFiles() {
-  return tracksData.tracks.map(track => ({
-    url: `/work/${encodeURIComponent(track.filename)}`,
-    title: track.title
-  }));
+// Get public audio files from tracks.json (order = index in array), localized for lang
+function getAudioFiles(lang) {
+  return tracksData.tracks
+    .filter(track => !track.private)
+    .map(track => describeTrack(track, lang, filename => `/work/${encodeURIComponent(filename)}`));
 }
 
 // Admin routes
 app.use('/admin', adminRouter);
 
+// Share links for private tracks
+app.use('/share', shareRouter);
+
+// Client review portal
+app.use('/review', reviewRouter);
+
+// sitemap.xml and robots.txt
+app.use(seoRouter);
+
+// Home page in the detected language, with its SEO head tags
+function renderHome(req, res) {
+  const lang = res.locals.lang;
+  const audioFiles = getAudioFiles(lang);
+  const gallery = describeGallery(lang, languages.default);
+  const sections = describeSections(lang, languages.default);
+  const services = describeServices(lang, languages.default);
+  const rates = quoteRates(lang, languages.default);
+  const seo = pageSeo({ req, lang, languages: languages.languages, t: app.locals.t, services, tracks: audioFiles });
+  res.render('index', {
+    audioFiles, gallery, sections, services, maxSongs: MAX_SONGS, rushPercent: rates.rushPercent, quoteRates: jsonForScript(rates),
+    honeypotField: HONEYPOT_FIELD, formToken: formToken(), profilePhoto: profilePhotoPath(), seo
+  });
+}
+
 // Page routes
-app.get('/', (req, res) => res.render('index', { audioFiles: getAudioFiles() }));
-app.get('/en', (req, res) => res.render('index', { audioFiles: getAudioFiles() }));
-app.get('/fr', (req, res) => res.render('index', { audioFiles: getAudioFiles() }));
+app.get('/', renderHome);
+app.get('/:lang', (req, res, next) => {
+  if (!languages.languages.some(l => l.code === req.params.lang)) return next();
+  renderHome(req, res);
+});
 
 // Contact form validation rules
 const contactValidation = [
@@ -173,19 +201,22 @@ const contactValidation = [
     .isLength({ max: 254 }).withMessage('Email too long')
     .normalizeEmail(),
   body('message')
+    .isString().withMessage('Invalid message')
     .notEmpty().withMessage('Message is required')
     .isLength({ max: 5000 }).withMessage('Message too long (max 5000 characters)')
     .trim(),
   body('bandName')
     .optional()
+    .isString().withMessage('Invalid band name')
     .isLength({ max: 200 }).withMessage('Band name too long')
     .trim(),
   body('numberOfSongs')
-    .optional()
-    .isLength({ max: 50 }).withMessage('Number of songs too long')
-    .trim(),
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: MAX_SONGS }).withMessage(`Number of songs must be a whole number from 1 to ${MAX_SONGS}`)
+    .toInt(),
   body('links')
     .optional()
+    .isString().withMessage('Invalid links')
     .isLength({ max: 1000 }).withMessage('Links too long')
     .trim(),
   body('services')
@@ -193,9 +224,13 @@ const contactValidation = [
     .customSanitizer(value => {
       // Handle services - can be a string (single checkbox) or array (multiple checkboxes)
       const arr = Array.isArray(value) ? value : (value ? [value] : []);
-      // Filter to only valid services
-      return arr.filter(s => VALID_SERVICES.includes(s));
-    })
+      // Filter to the services currently offered (data/services.json)
+      const valid = activeServices().map(service => service.id);
+      return arr.filter(s => valid.includes(s));
+    }),
+  body('rush')
+    .optional()
+    .toBoolean()
 ];
 
 // API endpoint for contact form with rate limiting and validation
@@ -210,17 +245,54 @@ app.post('/api/contact', contactLimiter, contactValidation, async (req, res) =>
   }
 
   const { email, bandName, numberOfSongs, links, services, message } = req.body;
+  const rush = req.body.rush === true;
+
+  if (isEmailThrottled(email)) {
+    return res.status(429).json({
+      success: false,
+      error: 'Too many messages from this email address, please try again tomorrow.'
+    });
+  }
 
-  // Format services for display
+  // Suspected spam is stored in quarantine for review and not emailed
+  const reasons = spamReasons(req.body);
+
+  // Format services for display, named in the site's default language
+  const names = serviceNames(languages.default);
   const selectedServices = services && services.length > 0
-    ? services.join(', ')
+    ? services.map(id => names[id] || id).join(', ')
     : 'None selected';
 
-  console.log('Contact form submission:', { email, bandName, numberOfSongs, links, services: selectedServices, message });
+  // Recompute the estimate shown in the form from the current rates (the browser's figure is not trusted)
+  const estimate = estimateQuote({ songs: numberOfSongs, services: services || [], rush }, languages.default, languages.default);
+  const estimateLines = estimate ? describeEstimate(estimate, numberOfSongs, names) : ['Not available (no priced service selected, or number of songs missing)'];
+
+  // Store the submission first so the lead is never lost, even if email fails
+  let inquiry;
+  try {
+    inquiry = await addInquiry({
+      email, bandName, numberOfSongs, links, services, rush, message, lang: res.locals.lang,
+      estimate: estimate && { total: estimate.total, currency: estimate.currency },
+      quarantine: reasons.length > 0 ? { reasons } : null
+    });
+  } catch (error) {
+    console.error('Failed to store inquiry:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Could not save your message, please try again later.'
+    });
+  }
 
-  // Send email if credentials are configured
+  if (inquiry.quarantine) {
+    console.log('Contact form submission quarantined:', inquiry.id, reasons.join('; '));
+  } else {
+    console.log('Contact form submission stored:', inquiry.id);
+  }
+
+  // Send email if a transport and recipient are configured
   const contactEmail = process.env.CONTACT_EMAIL;
-  if (process.env.GMAIL_USER && process.env.GMAIL_APP_PASSWORD && contactEmail) {
+  let emailStatus = { emailStatus: 'skipped' };
+  if (!inquiry.quarantine && transportName !== 'none' && contactEmail) {
     try {
       const subjectName = bandName || email;
       // Escape all user inputs for HTML email to prevent XSS
@@ -229,15 +301,16 @@ app.post('/api/contact', contactLimiter, contactValidation, async (req, res) =>
       const safeNumberOfSongs = escapeHtml(numberOfSongs || 'Not provided');
       const safeLinks = escapeHtml(links || 'Not provided');
       const safeServices = escapeHtml(selectedServices);
+      const safeEstimate = estimateLines.map(line => escapeHtml(line)).join('<br>');
       const safeMessage = escapeHtml(message).replace(/\n/g, '<br>');
 
       await emailTransporter.sendMail({
-        from: process.env.GMAIL_USER,
+        from: fromAddress,
         replyTo: email,
         to: contactEmail,
         cc: email,
         subject: `[Hellajay] Message from ${subjectName}`,
-        text: `New message from the Hellajay website contact form:\n\nEmail: ${email}\nBand/Project Name: ${bandName || 'Not provided'}\nNumber of songs: ${numberOfSongs || 'Not provided'}\nLinks: ${links || 'Not provided'}\nServices: ${selectedServices}\n\nMessage:\n${message}`,
+        text: `New message from the Hellajay website contact form:\n\nEmail: ${email}\nBand/Project Name: ${bandName || 'Not provided'}\nNumber of songs: ${numberOfSongs || 'Not provided'}\nLinks: ${links || 'Not provided'}\nServices: ${selectedServices}\nRush delivery: ${rush ? 'Yes' : 'No'}\n\nEstimate:\n${estimateLines.join('\n')}\n\nMessage:\n${message}`,
         html: `
           <h2>New message from the Hellajay website</h2>
           <p><strong>Email:</strong> ${safeEmail}</p>
@@ -245,18 +318,29 @@ app.post('/api/contact', contactLimiter, contactValidation, async (req, res) =>
           <p><strong>Number of songs:</strong> ${safeNumberOfSongs}</p>
           <p><strong>Links:</strong> ${safeLinks}</p>
           <p><strong>Services:</strong> ${safeServices}</p>
+          <p><strong>Rush delivery:</strong> ${rush ? 'Yes' : 'No'}</p>
+          <p><strong>Estimate:</strong><br>${safeEstimate}</p>
           <hr>
           <p><strong>Message:</strong></p>
           <p>${safeMessage}</p>
         `
       });
       console.log('Email sent successfully');
+      emailStatus = { emailStatus: 'sent' };
     } catch (error) {
       console.error('Failed to send email:', error.message);
-      // Don't fail the request if email fails - still acknowledge the submission
+      // Don't fail the request if email fails - the inquiry is already stored
+      emailStatus = { emailStatus: 'failed', emailError: error.message };
     }
   }
 
+  try {
+    await updateInquiry(inquiry.id, emailStatus);
+  } catch (error) {
+    console.error('Failed to record email status:', error.message);
+  }
+
+  // Same answer for quarantined submissions, so bots cannot tell
   res.json({
     success: true,
     message: 'Message received! Thank you for reaching out.'
@@ -277,4 +361,4 @@ app.listen(PORT, () => {
 });
 
 // Export for admin routes
-module.exports = { reloadTracks, TRACKS_PATH };
+module.exports = { reloadTracks };